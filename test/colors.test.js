@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+await import('../webs.js');
+const { ParticleSystem } = globalThis;
+
+const system = new ParticleSystem(null, { renderer: 'none' });
+
+function parse(color) {
+    const { r, g, b, a } = system.getParsedColor(color);
+    return [r, g, b, a];
+}
+
+test('hex colors in every length', () => {
+    assert.deepEqual(parse('#f00'), [255, 0, 0, 1]);
+    assert.deepEqual(parse('#00ff00'), [0, 255, 0, 1]);
+    assert.deepEqual(parse('#0000ff80'), [0, 0, 255, 128 / 255]);
+});
+
+test('rgb() and hsl() in the comma and the space syntax', () => {
+    assert.deepEqual(parse('rgb(0, 128, 255)'), [0, 128, 255, 1]);
+    assert.deepEqual(parse('rgb(0 128 255 / 50%)'), [0, 128, 255, 0.5]);
+    assert.deepEqual(parse('hsl(120, 100%, 50%)'), [0, 255, 0, 1]);
+    assert.deepEqual(parse('hsl(240deg 100% 50% / 0.25)'), [0, 0, 255, 0.25]);
+});
+
+test('named colors and transparent, in any case', () => {
+    assert.deepEqual(parse('rebeccapurple'), [102, 51, 153, 1]);
+    assert.deepEqual(parse('RED'), [255, 0, 0, 1]);
+    assert.deepEqual(parse('transparent'), [0, 0, 0, 0]);
+});
+
+test('oklch() ends up in sRGB', () => {
+    assert.deepEqual(parse('oklch(0.7 0.1 200)'), [64, 177, 183, 1]);
+});
+
+test('the css string is ready for the 2d context', () => {
+    assert.equal(system.getParsedColor('#ff000080').css, `rgba(255, 0, 0, ${128 / 255})`);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+await import('../webs.js');
+const { ParticleSystem } = globalThis;
+
+function createSystem(options) {
+    return new ParticleSystem(null, { renderer: 'none', ...options });
+}
+
+test('numbers out of range are clamped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const system = createSystem({ opacityStep: 1.5 });
+    assert.equal(system.opts.opacityStep, 1);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('whole number options are rounded', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const system = createSystem({ gridSize: 12.4 });
+    assert.equal(system.opts.gridSize, 12);
+});
+
+test('invalid values are left out and the option keeps its value', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const system = createSystem({ boundaryMode: 'wrap' });
+    system.updateOptions({ boundaryMode: 'nope' });
+    assert.equal(system.opts.boundaryMode, 'wrap');
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('updateOptions is validated like the constructor', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const system = createSystem({});
+    system.updateOptions({ speed: -1 });
+    assert.equal(system.opts.speed, ParticleSystem.optionsSchema.speed.min);
+});
+
+test('strict validation throws an OptionError', () => {
+    assert.throws(
+        () => createSystem({ optionValidation: 'strict', speed: -2 }),
+        error => error instanceof ParticleSystem.OptionError && error.option === 'speed' && error.value === -2
+    );
+    assert.throws(() => createSystem({ optionValidation: 'strict', foo: 1 }), /Unknown option 'foo'/);
+});
+
+test('validation off passes everything through', () => {
+    const system = createSystem({ optionValidation: 'off', speed: -5 });
+    assert.equal(system.opts.speed, -5);
+});
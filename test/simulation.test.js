@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+//the script puts its exports on globalThis when it isn't loaded as a CommonJS module
+await import('../webs.js');
+const { ParticleSystem } = globalThis;
+
+//headless, nothing is drawn and the size comes from setHostSize
+function createSystem(options) {
+    const system = new ParticleSystem(null, { renderer: 'none', ...options });
+    system.setHostSize(400, 300);
+    return system;
+}
+
+//a system with a bit of everything a snapshot carries: forces, a constraint and an emitter
+function createScene(seed) {
+    const system = createSystem({ seed, boundaryMode: 'wrap', particleColor: ['#ff0000', '#00ff00', '#0000ff'] });
+    system.setParticleCount(200);
+    system.addForce({ type: 'flow' });
+    system.addForce({ type: 'attractor', x: 200, y: 150 });
+    system.addConstraint(0, 1);
+    system.addEmitter({ x: 100, y: 100, rate: 30, lifetime: [300, 900] });
+    return system;
+}
+
+function getPositions(system) {
+    return system.particles.map(particle => [particle.x, particle.y]);
+}
+
+test('the same seed gives the same simulation', () => {
+    const a = createScene(42);
+    const b = createScene(42);
+    a.step(120);
+    b.step(120);
+    assert.deepEqual(getPositions(a), getPositions(b));
+});
+
+test('a different seed gives a different simulation', () => {
+    const a = createScene(42);
+    const b = createScene(7);
+    a.step(120);
+    b.step(120);
+    assert.notDeepEqual(getPositions(a), getPositions(b));
+});
+
+for (const format of ['json', 'binary']) {
+    test(`a ${format} snapshot continues exactly where it was captured`, () => {
+        const original = createScene(42);
+        original.step(60);
+        const snapshot = original.getState(format);
+
+        const restored = createSystem({ seed: 1 });
+        restored.setParticleCount(20);
+        restored.setState(format === 'json' ? JSON.stringify(snapshot) : snapshot);
+        assert.deepEqual(getPositions(restored), getPositions(original));
+
+        original.step(60);
+        restored.step(60);
+        assert.deepEqual(getPositions(restored), getPositions(original));
+        assert.equal(restored.getStats().constraintCount, 1);
+        assert.equal(restored.getStats().emitterCount, 1);
+    });
+}
+
+test('setState rejects snapshots it does not know', () => {
+    const system = createSystem({ seed: 1 });
+    assert.throws(() => system.setState({ version: -1 }), /Unsupported particle system snapshot/);
+});
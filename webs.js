@@ -10,32 +10,74 @@ class ParticleSystem {
 
     //#region Constructor and initialization
 
+    //every option, its type and range, see OPTIONS_SCHEMA
+    static get optionsSchema() {
+        return OPTIONS_SCHEMA;
+    }
+
+    //thrown for invalid options with optionValidation: 'strict'
+    static get OptionError() {
+        return OptionError;
+    }
+
+    //color theme presets for setTheme(), see THEMES
+    static get themes() {
+        return THEMES;
+    }
+
     constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
         this.running = false;
+        this.recording = false;
         this.animationId = null;
         
-        //tab switch resume
-        this.wasRunningBeforeHidden = false;
+        //pausing while the canvas can't be seen (hidden tab, scrolled away) or motion is reduced,
+        //autoPaused remembers to resume the loop afterwards (see updateAutoPause)
+        this.autoPaused = false;
+        this.hidden = false;
+        this.offscreen = false;
+        this.motionReduced = false;
+        this.lastFrameTime = -Infinity; //last frame drawn under maxFPS
         
         //default options, to be customized via options param
         this.opts = {
             //simulation settings
             particleCount: 300,
-            radius: 1,
+            radius: 1, //number, array of sizes or generator function(index, particle)
+            particleMass: 1, //number, array or generator function, heavier particles react less to forces
             spawnVelocity: 0.75,
             speed: 1.0, //simulation speed factor (1.0 = 60 FPS, 2.0 = 120 FPS, 0.5 = 30 FPS)
+            seed: null, //integer seed for spawn positions, velocities, palettes and noise. null = random each run
+            particleDensity: null, //particles per 100x100 px, keeps the count in step with the canvas area. null = fixed count
+
+            //sizing settings
+            sizeTo: 'canvas', //'canvas' keeps the canvas's own CSS size, 'parent' fills the parent element's content box
+            resizeStrategy: 'scale', //on resize: 'scale' positions with the canvas, 'keep' them or 'respawn-outside' the ones left outside
+
+            //visibility and motion settings
+            pauseWhenOffscreen: true, //pause while the canvas is scrolled out of view, like in a hidden tab
+            maxFPS: null, //cap on frames per second to save battery, null = every display frame
+            reducedMotion: 'static', //with prefers-reduced-motion: 'static' (a still frame), 'slow' or 'ignore'
+            reducedMotionSpeed: 0.2, //speed factor in 'slow' reduced motion
 
             //connection settings
             maxConnectionDistance: 100,    //maximum distance for any connection
             fadeStartDistance: 60,         //distance where connections start to fade
             opacityStep: 0.2,               //maximum alpha for connections
-            connectionHysteresis: 0.1,     //hysteresis factor to prevent connection flickering (0.1 = 10% hysteresis)
+            connectionHysteresis: 0.1,     //new connections form 10% closer than they break and existing ones rank 10% closer, prevents flickering
+            connectionStyle: 'line',       //'line', 'gradient' (blends the colors of both ends), 'curve' or 'triangles' (fills mutually connected triples)
+            connectionColor: null,         //null takes the color of the particle a connection starts from, or a color / function(a, b)
+            connectionWidth: 1,            //line width in px, or [near, far] to thin connections out with distance
+            connectionCurvature: 0.2,      //how far curves bow out, relative to their length
+            triangleOpacity: 0.3,          //alpha of filled triangles relative to their connections
 
             //rendering
             backgroundColor: '#5a5b62',
-            particleColor: '#ffffff',
+            particleColor: '#ffffff', //color string, array palette or generator function(index, particle)
+            particleAlpha: 1, //number, array or generator function
+            particleShape: 'circle', //'circle', 'square', 'triangle', 'star', Path2D / SVG path, { path, viewBox }, { image } or { emoji }. value, array or generator
+            particleFill: false, //fill shapes instead of outlining them
+            rotateWithVelocity: false, //turn shapes and sprites to face where they are heading
             enableConnections: true,
             enablePersistence: false,
             enableTrails: false,
@@ -49,7 +91,9 @@ class ParticleSystem {
             enableObjectPooling: true,
             enableAdaptiveLOD: true,
             enableBatchRendering: true,
-            maxConnectionsPerParticle: 10, //limit connections per particle
+            renderer: '2d', //'2d', 'webgl' (falls back to 2d when unavailable) or 'none', fixed at construction
+            environment: null, //host adapter for sizing, events and frames, defaults to the browser or headless
+            maxConnectionsPerParticle: 10, //each particle connects to at most this many of its nearest neighbours
             performanceThreshold: 40, //fPS threshold for LOD
             lodConnectionReduction: 0.5, //reduce connections by 50% in LOD mode
 
@@ -57,22 +101,117 @@ class ParticleSystem {
             enableMouseRepel: false,
             mouseRepelRadius: 100,
             mouseRepelStrength: 0.5,
+            touchRepelLinger: 150, //ms a lifted touch keeps repelling, so taps are visible
+
+            //picking and dragging settings
+            pickRadius: 10, //distance around a particle's radius that still counts as a hit (clicks, hover, drag)
+            enableDrag: false, //grab particles with the pointer and fling them on release
+            dragRadius: 0, //particles within this distance of the grabbed one move along (0 = just the one)
+            clickTolerance: 5, //pointer movement in px before a press no longer counts as a click
 
             //physics settings
             enableAdvancedPhysics: false, //toggle between basic and advanced verlet integration
             damping: 0.99, //velocity damping factor (0.99 = 1% energy loss per frame)
             gravity: { x: 0, y: 50 }, //gravity force vector
 
-            // ...existing (default) options
-            ...options
+            //boundary settings
+            boundaryMode: 'bounce', //'bounce', 'wrap' (toroidal), 'absorb' (recycle on contact) or 'open' (recycle once out of view)
+            restitution: 1.0, //fraction of velocity kept when bouncing off an edge
+            boundaryMargin: 50, //distance past the edge before particles are recycled in open mode
+
+            //particle lifetime settings (emitted particles)
+            lifetimeFade: true, //fade particles and their connections out as they age
+            lifetimeShrink: false, //shrink particles as they age
+
+            //constraint solver settings
+            enableCollisions: false, //resolve overlapping particles as solid circles
+            collisionRadius: null, //collision radius, defaults to radius when null
+            solverIterations: 3, //relaxation passes per step for collisions and constraints
+            renderConstraints: true, //draw distance constraints as connection lines
+
+            //graph layout settings (addNode / addEdge)
+            edgeLength: 80, //rest length of edge springs
+            edgeStrength: 0.02, //edge spring stiffness, scaled by each edge's weight
+            chargeStrength: 0.5, //how hard nodes push each other apart
+            chargeRadius: 150, //nodes further apart than this don't repel
+            centerStrength: 0.001, //pull of nodes towards the canvas center, keeps the graph in view
+            nodeDamping: 0.1, //fraction of a node's velocity lost per step, lets the layout settle
+
+            //'warn' about unknown options and fix invalid ones, 'strict' throws an OptionError, 'off' skips the checks
+            optionValidation: 'warn'
         };
+        //passed options are checked against the schema before they are merged in (see validateOptions)
+        this.opts = { ...this.opts, ...validateOptions(options, this.opts) };
         
         //initial / internal state
-        this.particles = [];
+        //particle data lives in typed arrays, particles holds a handle per index (see ParticleStore)
+        this.store = new ParticleStore();
+        this.particles = this.store.handles;
         this.particlePool = [];
-        this.grid = new Map();
+        this.grid = {
+            columns: 0,
+            rows: 0,
+            cellStart: new Int32Array(1), //first entry in cellParticles for each cell, plus an end marker
+            cellParticles: new Int32Array(0), //particle indices sorted by cell
+            particleCells: new Int32Array(0) //cell of each particle index
+        };
+        this.gridDirty = true;
+        this.neighborIndices = new Int32Array(64); //scratch for neighbourhood queries
+        this.queryIndices = new Int32Array(64); //scratch for picking queries
+
+        //connections picked this frame, maxConnectionsPerParticle slots of partner indices per
+        //particle (see selectConnections). the link memory keeps last frame's picks by id
+        this.linkSlots = 0;
+        this.linkPartners = new Int32Array(0);
+        this.linkRanks = new Float64Array(0);
+        this.linkCounts = new Int32Array(0);
+        this.linkMemory = createLinkMemory(0, 0);
+        this.nextLinkMemory = createLinkMemory(0, 0);
+
         this.lastTime = 0;
         this.accumulator = 0;
+        this.simulationTime = 0; //total simulated time in ms, drives time-varying forces
+
+        //user force fields, see addForce()
+        this.forces = [];
+        this.nextForceId = 1;
+
+        //distance constraints, see addConstraint()
+        this.constraints = [];
+        this.nextConstraintId = 1;
+
+        //graph nodes (particles with data) and their edges, see addNode() / addEdge()
+        this.edges = [];
+        this.nextEdgeId = 1;
+        this.nodeCount = 0;
+
+        //particles steered into a shape, see formShape()
+        this.formation = null;
+
+        //options on their way to new values keyed by option name, see animateOptions(),
+        //and keyframed sequences of options, see addTimeline()
+        this.optionTransitions = new Map();
+        this.timelines = [];
+        this.nextTimelineId = 1;
+
+        //color theme from setTheme(), reapplied when a { light, dark } theme's scheme changes
+        this.theme = null;
+        this.themeSettings = {};
+        this.darkScheme = false;
+
+        //particle emitters, see addEmitter()
+        this.emitters = [];
+        this.nextEmitterId = 1;
+        this.mortalCount = 0; //particles with a finite lifetime
+
+        //event handlers keyed by event name, see on()
+        this.listeners = new Map();
+        //connections seen in the last rendered frame, only tracked while someone listens for them
+        this.connections = new Map();
+        this.nextConnections = new Map();
+
+        //every random choice of the simulation comes from a seeded generator (see reseed)
+        this.reseed(this.opts.seed);
         
         //performance tracking
         this.frameCount = 0;
@@ -83,20 +222,41 @@ class ParticleSystem {
         //batch rendering arrays
         this.particlePositions = [];
         this.connectionLines = [];
+        this.connectionTriangles = []; //filled triangles in 'triangles' style, reused like connectionLines
+        this.connectionNeighbors = []; //per particle, who it connects to this frame (triangles only)
+        this.connectionColorPair = [null, null]; //scratch result of getConnectionColors
+        this.connectionScratch = createConnectionLine(); //single connection for drawConnections
+        this.gradientSegments = []; //reused pieces of gradient connections in the 2d batches
+        this.colorCache = new Map();
+        this.shapeCache = new Map(); //particleShape values and their prepared shapes
+        this.spriteAtlas = null; //pre-rendered sprites, see getSpriteAtlas()
+        this.particleScratch = [{ x: 0, y: 0, radius: 0, angle: 0 }]; //single particle batch for drawParticle
+
+        //reused scratch state for the update / connection loops
+        this.escapedParticles = [];
+        this.separation = { dx: 0, dy: 0, wrapped: false };
         
-        this.mouse = { x: -9999, y: -9999 };
+        //rendering backend, the context type can't change once the canvas has one
+        this.initRenderer();
+
+        //active pointers (mouse, pen, touch) keyed by pointerId, each one is a repel source
+        this.pointers = new Map();
+        this.originalTouchAction = this.canvas && this.canvas.style ? this.canvas.style.touchAction : '';
+        this.originalCursor = this.canvas && this.canvas.style ? this.canvas.style.cursor : '';
+
+        //everything host specific (sizing, events, frame scheduling) goes through the environment.
+        //without a DOM (workers, Node) the host pushes size, pointers and visibility in
+        this.env = this.opts.environment || (hasBrowserDOM(this.canvas) ?
+            createBrowserEnvironment() :
+            createHeadlessEnvironment(this.canvas ? { width: this.canvas.width, height: this.canvas.height } : {}));
         
         //canvas sizing & listeners
+        this.width = 0;
+        this.height = 0;
+        this.dpr = 0;
         this.fitToParent();
-        this.boundResize = this.fitToParent.bind(this);
-        this.boundVisibilityChange = this.handleVisibilityChange.bind(this);
-        this.boundMouseMove = this.handleMouseMove.bind(this);
-        this.boundMouseLeave = this.handleMouseLeave.bind(this);
-        
-        window.addEventListener('resize', this.boundResize);
-        document.addEventListener('visibilitychange', this.boundVisibilityChange);
-        this.canvas.addEventListener('mousemove', this.boundMouseMove);
-        this.canvas.addEventListener('mouseleave', this.boundMouseLeave);
+        this.unlisten = this.listenToHost();
+        this.updateTouchAction();
     }
     //#endregion
 
@@ -104,44 +264,216 @@ class ParticleSystem {
     
     //responsive canvas size / resolution resizing
     fitToParent() {
-        const rect = this.canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        
-        //set internal buffer size
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
-        
-        //set CSS size
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+        const size = this.env.getSize(this.canvas, this.opts.sizeTo);
+        const dpr = size.dpr || 1;
+        //resize observers and window events report the same change more than once
+        if (size.width === this.width && size.height === this.height && dpr === this.dpr) return;
+
+        const previousWidth = this.width;
+        const previousHeight = this.height;
+
+        //store dimensions in CSS pixels for physics
+        this.width = size.width;
+        this.height = size.height;
+        this.dpr = dpr;
+
+        //without a canvas there is nothing to size, the simulation still needs its bounds
+        if (this.canvas) {
+            //set internal buffer size
+            this.canvas.width = size.width * dpr;
+            this.canvas.height = size.height * dpr;
+            
+            //set CSS size. a block canvas leaves no inline gap under it that would grow its parent
+            if (this.canvas.style) {
+                this.canvas.style.width = size.width + 'px';
+                this.canvas.style.height = size.height + 'px';
+                if (this.opts.sizeTo === 'parent') this.canvas.style.display = 'block';
+            }
+        }
 
         //HiDPI
-        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        if (this.webgl) {
+            this.webgl.resize(this.width, this.height);
+        } else if (this.ctx) {
+            this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
         
-        //store dimensions in CSS pixels for physics
-        this.width = rect.width;
-        this.height = rect.height;
+        //carry the particles over to the new size (not on the first sizing, there was none before)
+        if (previousWidth > 0 && previousHeight > 0 &&
+            (previousWidth !== this.width || previousHeight !== this.height)) {
+            this.applyResizeStrategy(previousWidth, previousHeight);
+            if (this.opts.particleDensity) {
+                this.setParticleCount(this.getDensityParticleCount());
+            }
+        }
         
         //rebuild grid if particles exist
         if (this.particles.length > 0) {
             this.rebuildGrid();
         }
+
+        this.emit('resize', { width: this.width, height: this.height, dpr });
+    }
+
+    /**
+     * Moves the particles after the canvas changed size, following opts.resizeStrategy.
+     * velocities are kept in both cases
+     * @param {number} previousWidth - width before the resize
+     * @param {number} previousHeight - height before the resize
+     */
+    applyResizeStrategy(previousWidth, previousHeight) {
+        const strategy = this.opts.resizeStrategy;
+        const { x, y, pastX, pastY } = this.store;
+
+        if (strategy === 'scale') {
+            const scaleX = this.width / previousWidth;
+            const scaleY = this.height / previousHeight;
+            for (let i = 0; i < this.store.count; i++) {
+                const newX = x[i] * scaleX;
+                const newY = y[i] * scaleY;
+                pastX[i] += newX - x[i];
+                pastY[i] += newY - y[i];
+                x[i] = newX;
+                y[i] = newY;
+            }
+            //a shape being formed scales along
+            if (this.formation) {
+                for (const positions of [this.formation.fromX, this.formation.toX]) {
+                    for (let slot = 0; slot < positions.length; slot++) positions[slot] *= scaleX;
+                }
+                for (const positions of [this.formation.fromY, this.formation.toY]) {
+                    for (let slot = 0; slot < positions.length; slot++) positions[slot] *= scaleY;
+                }
+            }
+        } else if (strategy === 'respawn-outside') {
+            for (let i = 0; i < this.store.count; i++) {
+                if (x[i] >= 0 && x[i] <= this.width && y[i] >= 0 && y[i] <= this.height) continue;
+                const newX = this.random() * this.width;
+                const newY = this.random() * this.height;
+                pastX[i] += newX - x[i];
+                pastY[i] += newY - y[i];
+                x[i] = newX;
+                y[i] = newY;
+            }
+        } else if (strategy !== 'keep') {
+            console.warn(`webs.js: unknown resizeStrategy '${strategy}', keeping particle positions`);
+        }
+        this.gridDirty = true;
+    }
+
+    //particle count for particleDensity at the current size
+    getDensityParticleCount() {
+        return Math.round(this.opts.particleDensity * this.width * this.height / 10000);
+    }
+
+    //(re)connects the environment's size, visibility and pointer events
+    listenToHost() {
+        return this.env.listen(this.canvas, {
+            resize: () => this.fitToParent(),
+            visibilityChange: (hidden) => this.handleVisibilityChange(hidden),
+            viewportChange: (inView) => this.handleViewportChange(inView),
+            reducedMotionChange: (reduced) => this.handleReducedMotionChange(reduced),
+            colorSchemeChange: (dark) => this.handleColorSchemeChange(dark),
+            styleChange: () => this.refreshColors(),
+            pointerDown: (event) => this.handlePointerDown(event),
+            pointerMove: (event) => this.handlePointerMove(event),
+            pointerUp: (event) => this.handlePointerUp(event),
+            pointerLeave: (event) => this.handlePointerLeave(event)
+        }, this.opts.sizeTo);
+    }
+    
+    /**
+     * Sets the canvas size when there is no DOM to measure, e.g. inside a worker or in Node.
+     * only environments with a setSize method (like the headless one) take it
+     * @param {number} width - width in CSS pixels
+     * @param {number} height - height in CSS pixels
+     * @param {number} dpr - device pixel ratio
+     */
+    setHostSize(width, height, dpr = 1) {
+        if (typeof this.env.setSize === 'function') {
+            this.env.setSize(width, height, dpr);
+        }
+        this.fitToParent();
+    }
+    
+    /**
+     * @param {boolean} hidden - whether the page is hidden
+     */
+    handleVisibilityChange(hidden) {
+        this.hidden = hidden;
+        this.updateAutoPause();
+    }
+
+    /**
+     * @param {boolean} inView - whether any of the canvas is inside the viewport
+     */
+    handleViewportChange(inView) {
+        this.offscreen = !inView;
+        this.updateAutoPause();
+    }
+
+    /**
+     * @param {boolean} reduced - whether the user prefers reduced motion
+     */
+    handleReducedMotionChange(reduced) {
+        this.motionReduced = reduced;
+        this.updateAutoPause();
+    }
+
+    //whether the loop should stay paused right now, nobody sees it or it should hold still
+    shouldAutoPause() {
+        return this.hidden ||
+            (this.offscreen && this.opts.pauseWhenOffscreen) ||
+            (this.motionReduced && this.opts.reducedMotion === 'static');
+    }
+
+    //pauses the running animation but remembers it was running, and resumes it once it may run again
+    updateAutoPause() {
+        //record() restores the loop when it finishes
+        if (this.recording) return;
+        const pause = this.shouldAutoPause();
+        if (pause && this.running) {
+            this.stop();
+            this.autoPaused = true;
+        } else if (!pause && this.autoPaused) {
+            this.start();
+        }
     }
+    //#endregion
     
-    handleVisibilityChange() {
-        if (document.hidden) {
-            //pause the animation but remember that it was running
-            if (this.running) {
-                this.wasRunningBeforeHidden = true;
-                this.stop();
+    //#region Renderer selection
+
+    /**
+     * Sets up the rendering backend. 'webgl' draws with a WebGLRenderer and falls back
+     * to the canvas 2D path when WebGL or instancing is not available. 'none' (or no canvas)
+     * only simulates, e.g. for tests in Node
+     */
+    initRenderer() {
+        this.ctx = null;
+        this.webgl = null;
+
+        if (this.opts.renderer === 'none' || !this.canvas) {
+            this.rendererType = 'none';
+            return;
+        }
+
+        if (this.opts.renderer === 'webgl') {
+            this.webgl = WebGLRenderer.create(this.canvas);
+            if (!this.webgl) {
+                console.warn('webs.js: WebGL is not available, falling back to the 2d renderer');
             }
-        } else {
-            //resume if it was running before being hidden
-            if (this.wasRunningBeforeHidden) {
-                this.wasRunningBeforeHidden = false;
-                this.start();
+        }
+
+        if (!this.webgl) {
+            this.ctx = this.canvas.getContext('2d');
+            //a canvas that holds another kind of context already has no 2d one
+            if (!this.ctx) {
+                console.warn('webs.js: the canvas has no 2d context, only simulating');
+                this.rendererType = 'none';
+                return;
             }
         }
+        this.rendererType = this.webgl ? 'webgl' : '2d';
     }
     //#endregion
     
@@ -156,875 +488,6856 @@ class ParticleSystem {
             this.lastFPSCheck = currentTime;
             
             //update LOD mode based on performance
+            const wasLodMode = this.lodMode;
             if (this.opts.enableAdaptiveLOD) {
-                this.lodMode = this.currentFPS < this.opts.performanceThreshold;
+                //a capped frame rate isn't a slow one
+                const threshold = this.opts.maxFPS ?
+                    Math.min(this.opts.performanceThreshold, this.opts.maxFPS * 0.9) :
+                    this.opts.performanceThreshold;
+                this.lodMode = this.currentFPS < threshold;
             }else{
                 this.lodMode = false;
             }
+            if (this.lodMode !== wasLodMode) {
+                this.emit('lodChange', { lodMode: this.lodMode, fps: this.currentFPS });
+            }
         }
     }
     //#endregion
 
-    //#region Mouse interaction
+    //#region Events
+
+    /**
+     * Registers an event handler. handlers are called synchronously with a single event object
+     * @param {string} event - one of SYSTEM_EVENTS
+     * @param {Function} handler - called with the event's data
+     * @returns {Function} call to remove the handler again
+     */
+    on(event, handler) {
+        if (!SYSTEM_EVENTS.includes(event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        if (typeof handler !== 'function') {
+            throw new TypeError('Event handlers must be functions');
+        }
+        //copy on write, so handlers can add or remove handlers while an event is emitted
+        this.listeners.set(event, [...(this.listeners.get(event) || []), handler]);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Removes an event handler, or every handler of the event when none is given
+     * @param {string} event - event name
+     * @param {Function} handler - handler passed to on()
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+
+        const remaining = handler ? handlers.filter(other => other !== handler) : [];
+        if (remaining.length > 0) {
+            this.listeners.set(event, remaining);
+        } else {
+            this.listeners.delete(event);
+        }
+
+        if (!this.isTrackingConnections()) {
+            this.connections.clear();
+            this.nextConnections.clear();
+        }
+    }
 
-    handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouse.x = event.clientX - rect.left;
-        this.mouse.y = event.clientY - rect.top;
+    //calls the handlers of an event. hot paths check hasListeners first so they don't build the data for nobody
+    emit(event, data) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        for (const handler of handlers) {
+            handler(data);
+        }
     }
 
-    handleMouseLeave() {
-        //set to arbitrarily offscreen to prevent simulation interaction
-        this.mouse.x = -9999;
-        this.mouse.y = -9999;
+    hasListeners(event) {
+        return this.listeners.has(event);
     }
 
+    isTrackingConnections() {
+        return this.listeners.has('connectionFormed') || this.listeners.has('connectionBroken');
+    }
 
-    applyMouseRepel() {
-        if (!this.opts.enableMouseRepel) return;
-        
-        //reset force accumulators for all particles
-        for (const particle of this.particles) {
-            particle.fx = 0;
-            particle.fy = 0;
+    //records a connection drawn this frame, both directions of a pair share one entry
+    trackConnection(index, other) {
+        let a = this.particles[index];
+        let b = this.particles[other];
+        if (a.id > b.id) [a, b] = [b, a];
+
+        const key = a.id + ':' + b.id;
+        if (!this.nextConnections.has(key)) {
+            const connection = this.connections.get(key) || { a, b, aId: a.id, bId: b.id };
+            //by the time a connection breaks a removed end's handle may be detached or reused,
+            //the ids and the positions of the last connected frame stay valid
+            connection.ax = a.x;
+            connection.ay = a.y;
+            connection.bx = b.x;
+            connection.by = b.y;
+            this.nextConnections.set(key, connection);
         }
-        
-        for (const particle of this.particles) {
-            const dx = particle.x - this.mouse.x;
-            const dy = particle.y - this.mouse.y;
-            const distanceSquared = dx * dx + dy * dy;
+    }
 
-            //calculate repel radius
-            const repelRadiusSquared = this.opts.mouseRepelRadius * this.opts.mouseRepelRadius;
-            
-            //only apply force if within radius
-            if (distanceSquared < repelRadiusSquared) {
-                const invRepelRadius = 1 / this.opts.mouseRepelRadius;
-                const distance = Math.sqrt(distanceSquared);
-                const force = (this.opts.mouseRepelRadius - distance) * invRepelRadius;
-                
-                //normalize direction and apply force
-                const invDistance = 1 / distance;
-                const repelX = dx * invDistance * force * this.opts.mouseRepelStrength;
-                const repelY = dy * invDistance * force * this.opts.mouseRepelStrength;
-                
-                //accumulate acting forces
-                particle.fx += repelX;
-                particle.fy += repelY;
-            }
+    //compares the connections of this frame with the last one and emits the differences
+    emitConnectionChanges() {
+        const previous = this.connections;
+        const current = this.nextConnections;
+
+        for (const [key, connection] of previous) {
+            if (!current.has(key)) this.emit('connectionBroken', connection);
+        }
+        for (const [key, connection] of current) {
+            if (!previous.has(key)) this.emit('connectionFormed', connection);
         }
+
+        previous.clear();
+        this.connections = current;
+        this.nextConnections = previous;
     }
-    //#endregion 
-    
-    //#region Spatial partitioning functions
+    //#endregion
+
+    //#region Pointer interaction
 
-    //resolve the proper grid position (key) for a given coordinate
-    getGridKey(x, y) {
-        if (!this.opts.enableSpatialPartitioning) return null;
-        //use numeric keys instead of strings for better performance
-        const gridX = Math.floor(x / this.opts.gridSize);
-        const gridY = Math.floor(y / this.opts.gridSize);
-        return gridX * 10000 + gridY; //assuming grid size won't exceed 10000 in either dimension
+    //convert a pointer event to canvas (CSS pixel) coordinates
+    getPointerPosition(event) {
+        //without a DOM the host already sends canvas relative coordinates
+        return this.env.toCanvasPoint(this.canvas, event);
     }
-    
-    /**
-     * Adds a particle to it's respective grid cell depending on the grid key
-     * @param {*} particle the particle to add
-     * @returns the particle's grid key
-     */
-    addToGrid(particle) {
-        if (!this.opts.enableSpatialPartitioning) return;
-        const key = this.getGridKey(particle.x, particle.y);
-        if (!this.grid.has(key)) {
-            this.grid.set(key, []);
+
+    handlePointerDown(event) {
+        const pos = this.getPointerPosition(event);
+        const previous = this.pointers.get(event.pointerId);
+        const pointer = this.createPointer(pos, event.pointerType);
+        //press position, to tell clicks from drags
+        pointer.downX = pos.x;
+        pointer.downY = pos.y;
+        //a mouse was hovering before it pressed
+        pointer.hovered = previous ? previous.hovered : null;
+        this.pointers.set(event.pointerId, pointer);
+
+        if (this.opts.enableDrag) {
+            this.startDrag(pointer);
         }
-        this.grid.get(key).push(particle);
-        particle.gridKey = key;
     }
-    
-    /**
-     * Removes a particle from its current grid cell
-     * this is called when a particle moves to a different grid cell
-     * @param {*} particle 
-     * @returns 
-     */
-    removeFromGrid(particle) {
-        if (!this.opts.enableSpatialPartitioning || !particle.gridKey) return;
-        if (this.grid.has(particle.gridKey)) {
-            const cell = this.grid.get(particle.gridKey);
-            const index = cell.indexOf(particle);
-            if (index > -1) {
-                cell.splice(index, 1);
-                if (cell.length === 0) {
-                    this.grid.delete(particle.gridKey);
-                }
+
+    handlePointerMove(event) {
+        //touch and pen only repel while in contact, a mouse repels on hover
+        if (event.pointerType !== 'mouse' && !this.pointers.has(event.pointerId)) return;
+
+        const pos = this.getPointerPosition(event);
+        const pointer = this.pointers.get(event.pointerId);
+        if (pointer) {
+            pointer.x = pos.x;
+            pointer.y = pos.y;
+            //far enough from the press to be a drag rather than a click
+            if (pointer.downX !== null && Math.hypot(pos.x - pointer.downX, pos.y - pointer.downY) > this.opts.clickTolerance) {
+                pointer.downX = null;
+                pointer.downY = null;
             }
+        } else {
+            this.pointers.set(event.pointerId, this.createPointer(pos, event.pointerType));
         }
     }
-    
+
     /**
-     * Gets the nearby particles for a given particle, to draw connections
-     * @param {*} particle the particle to check
-     * @returns array of nearby particle objects
+     * @param {Object} pos - canvas position
+     * @param {string} type - 'mouse', 'pen' or 'touch'
+     * @returns {Object} tracked pointer state, a repel source unless it holds particles
      */
-    getNearbyParticles(particle) {
-        if (!this.opts.enableSpatialPartitioning) {
-            return this.particles;
-        }
-        
-        const nearby = [];
-        const key = this.getGridKey(particle.x, particle.y);
-        if (!key) return this.particles;
-        
-        //extract grid coordinates from numeric key
-        const gridY = key % 10000;
-        const gridX = (key - gridY) / 10000;
-        
-        //pre-calculate grid keys for surrounding cells to avoid repeated calculations
-        const surroundingKeys = [];
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                surroundingKeys.push((gridX + dx) * 10000 + (gridY + dy));
-            }
+    createPointer(pos, type) {
+        return {
+            x: pos.x,
+            y: pos.y,
+            type,
+            expires: Infinity, //lifted touches linger until this time
+            downX: null, //set while a press can still become a click
+            downY: null,
+            drag: null, //particles held by this pointer
+            hovered: null //particle under the pointer
+        };
+    }
+
+    handlePointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (pointer) {
+            const pos = this.getPointerPosition(event);
+            pointer.x = pos.x;
+            pointer.y = pos.y;
+            this.endPress(pointer, event.pointerId);
         }
-        
-        //check current cell and 8 surrounding cells (3x3 grid area)
-        for (const checkKey of surroundingKeys) {
-            if (this.grid.has(checkKey)) {
-                const cell = this.grid.get(checkKey);
-                //use array spread to push all elements at once for better performance
-                nearby.push(...cell);
-            }
+
+        //a mouse keeps hovering after a click
+        if (event.pointerType === 'mouse') return;
+
+        //keep lifted touches around briefly so a quick tap still pushes particles away
+        if (pointer) {
+            pointer.expires = this.env.now() + this.opts.touchRepelLinger;
         }
-        return nearby;
     }
-    
-    /**
-    * Rebuilds the spatial grid, clearing it and re-adding all particles
-    * Used for mass / instant updates of entire grid, such as during window resize or
-    * When particles are added/removed in bulk
-    */
-    rebuildGrid() {
-        this.grid.clear();
-        for (const particle of this.particles) {
-            this.addToGrid(particle);
+
+    handlePointerLeave(event) {
+        //a lifted touch also fires pointerleave, let its linger run out instead
+        const pointer = this.pointers.get(event.pointerId);
+        if (pointer && pointer.expires !== Infinity && event.type === 'pointerleave') return;
+
+        if (pointer) {
+            //leaving or cancelling is never a click, but it drops whatever was held
+            this.releaseDrag(pointer);
+            if (pointer.hovered) {
+                this.emit('particleLeave', { particle: pointer.hovered, x: pointer.x, y: pointer.y, pointerId: event.pointerId });
+            }
         }
+        this.pointers.delete(event.pointerId);
+        this.updateCursor();
     }
-    
-    /**
-     * Gets a particle from pool, or creates new one if none
-     */
-    getPooledParticle(x, y) {
-        let particle;
-        if (this.opts.enableObjectPooling && this.particlePool.length > 0) {
-            particle = this.particlePool.pop();
-            //reset particle properties
-            particle.x = x;
-            particle.y = y;
-            particle.pastX = x + (Math.random() - 0.5) * 2 * this.opts.spawnVelocity;
-            particle.pastY = y + (Math.random() - 0.5) * 2 * this.opts.spawnVelocity;
-            particle.vx = 0;
-            particle.vy = 0;
-            particle.fx = 0;
-            particle.fy = 0;
-            particle.gridKey = null;
-        } else {
-            particle = {
-                x: x,
-                y: y,
-                gridKey: null,
-                pastX: x + (Math.random() - 0.5) * 2 * this.opts.spawnVelocity,
-                pastY: y + (Math.random() - 0.5) * 2 * this.opts.spawnVelocity,
-                vx: 0,
-                vy: 0,
-                fx: 0,
-                fy: 0
-            };
+
+    //drop lifted touches whose linger time has passed
+    pruneExpiredPointers() {
+        const now = this.env.now();
+        for (const [id, pointer] of this.pointers) {
+            if (pointer.expires <= now) {
+                this.pointers.delete(id);
+            }
         }
-        
-        this.addToGrid(particle);
-        return particle;
     }
-    
+
     /**
-     * Returns particle to pool instead of garbage collection
+     * Blocks browser panning / zooming on the canvas while repel is enabled so touch drags
+     * reach us as pointermove events instead of being cancelled by a scroll
      */
-    returnParticleToPool(particle) {
-        if (this.opts.enableObjectPooling) {
-            this.removeFromGrid(particle);
-            this.particlePool.push(particle);
-        }
+    updateTouchAction() {
+        if (!this.canvas || !this.canvas.style) return;
+        this.canvas.style.touchAction = this.opts.enableMouseRepel || this.opts.enableDrag ? 'none' : this.originalTouchAction;
     }
 
-    //#endregion
+    applyMouseRepel() {
+        if (!this.opts.enableMouseRepel) return;
 
-    //#region Particle management and simulation loop
+        this.pruneExpiredPointers();
+        if (this.pointers.size === 0) return;
 
-    /**
-     * Creates a new particle at the given position, using object pooling if enabled
-     * @param {number} x - x-coordinate for the particle
-     * @param {number} y - y-coordinate for the particle
-     * @returns {Object} particle object from our pool. creates new one if none available (or pooling disabled)
-     */
-    createParticle(x, y) {
-        return this.getPooledParticle(x, y);
+        //calculate repel radius
+        const repelRadiusSquared = this.opts.mouseRepelRadius * this.opts.mouseRepelRadius;
+        
+        for (let i = 0; i < this.store.count; i++) {
+            //each active pointer is its own repel source, unless it is holding particles
+            for (const pointer of this.pointers.values()) {
+                if (pointer.drag) continue;
+                this.applyPointerRepel(i, pointer, repelRadiusSquared);
+            }
+        }
     }
-    
+
     /**
-     * Updates a particle's position using Verlet integration, handles boundary collisions,
-     * Manages spatial partitioning grid updates, and applies velocity damping.
-     * @param {Object} particle - particle object to update
-     * @param {number} deltaTime - time since last update in milliseconds
+     * Accumulates the repel force of a single pointer onto a particle
+     * @param {number} index - index of the particle to push away
+     * @param {Object} pointer - pointer position in canvas coordinates
+     * @param {number} repelRadiusSquared - squared repel radius
      */
-    updateParticle(particle, deltaTime = 16.67) {
-
-        const oldGridKey = particle.gridKey;
-        
-        //use verlet integration to resolve new / next position
-        //store the current position before updating
-        const currentX = particle.x;
-        const currentY = particle.y;
-        
-        //calculate velocity from previous positions
-        //here .vx represents the change in position (delta x) since last frame
-        particle.vx = currentX - particle.pastX;
-        particle.vy = currentY - particle.pastY;
+    applyPointerRepel(index, pointer, repelRadiusSquared) {
+        const store = this.store;
+        const dx = store.x[index] - pointer.x;
+        const dy = store.y[index] - pointer.y;
+        const distanceSquared = dx * dx + dy * dy;
         
-        let newX, newY;
-        
-        const dt = deltaTime / 1000;
-        
-        if (this.opts.enableAdvancedPhysics) {
-            //advanced verlet integration with acceleration and damping
-            //newPosition = 2 * currentPosition - pastPosition + acceleration * dt²
-            
-            //apply damping to velocity
-            particle.vx *= this.opts.damping;
-            particle.vy *= this.opts.damping;
+        //only apply force if within radius
+        if (distanceSquared > 0 && distanceSquared < repelRadiusSquared) {
+            const invRepelRadius = 1 / this.opts.mouseRepelRadius;
+            const distance = Math.sqrt(distanceSquared);
+            const force = (this.opts.mouseRepelRadius - distance) * invRepelRadius;
             
-            //calculate acceleration, gravity + particle's stored forces (from mouse repel, etc.)
-            //scale mouse forces for acceleration (convert from position units to acceleration units)
-            const forceScale = 1 / (dt * dt); 
-            const ax = this.opts.gravity.x + particle.fx * forceScale;
-            const ay = this.opts.gravity.y + particle.fy * forceScale;
+            //normalize direction and apply force
+            const invDistance = 1 / distance;
+            const repelX = dx * invDistance * force * this.opts.mouseRepelStrength;
+            const repelY = dy * invDistance * force * this.opts.mouseRepelStrength;
             
-            //apply verlet integration formula with acceleration
-            newX = 2 * currentX - particle.pastX + ax * dt * dt;
-            newY = 2 * currentY - particle.pastY + ay * dt * dt;
-        } else {
-            //basic verlet integration with mouse forces
-            //newPosition = currentPosition + velocity + force
-            newX = currentX + particle.vx + particle.fx;
-            newY = currentY + particle.vy + particle.fy;
+            //accumulate acting forces
+            store.fx[index] += repelX;
+            store.fy[index] += repelY;
         }
+    }
+    //#endregion 
 
-        particle.pastX = particle.x;
-        particle.pastY = particle.y;
-        particle.x = newX;
-        particle.y = newY;
+    //#region Picking and dragging
 
-        //edge bounce logic
-        if (particle.x >= this.width) {
+    /**
+     * Fills this.queryIndices with the indices of every particle that may lie inside a box,
+     * from the grid cells it overlaps (or all particles without spatial partitioning)
+     * @returns {number} number of candidates written
+     */
+    gatherCandidates(minX, minY, maxX, maxY) {
+        const count = this.store.count;
+        if (this.queryIndices.length < count) {
+            this.queryIndices = new Int32Array(this.store.capacity);
+        }
+        const candidates = this.queryIndices;
 
-            //reverse the velocity (i.e. bounce away from edge)
-            const vx = particle.x - particle.pastX;
-            particle.x = this.width;
-            particle.pastX = particle.x + vx;
+        if (!this.opts.enableSpatialPartitioning) {
+            for (let i = 0; i < count; i++) candidates[i] = i;
+            return count;
+        }
 
-        } else if (particle.x <= 0) {
+        this.ensureGrid();
+        const { columns, rows, cellStart, cellParticles } = this.grid;
+        const gridSize = this.opts.gridSize;
+        //edge cells also hold the particles beyond the canvas, so the range is clamped instead of cut off
+        const startX = Math.min(columns - 1, Math.max(0, Math.floor(minX / gridSize)));
+        const endX = Math.min(columns - 1, Math.max(0, Math.floor(maxX / gridSize)));
+        const startY = Math.min(rows - 1, Math.max(0, Math.floor(minY / gridSize)));
+        const endY = Math.min(rows - 1, Math.max(0, Math.floor(maxY / gridSize)));
 
-            //same as above, for left edge
-            const vx = particle.x - particle.pastX;
-            particle.x = 0;
-            particle.pastX = particle.x + vx;
+        let written = 0;
+        for (let cellY = startY; cellY <= endY; cellY++) {
+            for (let cellX = startX; cellX <= endX; cellX++) {
+                const cell = cellY * columns + cellX;
+                for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                    candidates[written++] = cellParticles[k];
+                }
+            }
         }
-        if (particle.y >= this.height) {
-
-            //bottom edge
-            const vy = particle.y - particle.pastY;
-            particle.y = this.height;
-            particle.pastY = particle.y + vy;
+        return written;
+    }
 
-        } else if (particle.y <= 0) {
+    /**
+     * Finds the particle under a point, the one whose edge is closest when several overlap
+     * @param {number} x - canvas position in CSS pixels
+     * @param {number} y - canvas position in CSS pixels
+     * @param {number} radius - extra distance around each particle that still counts as a hit
+     * @returns {ParticleHandle|null} the particle, or null if there is none
+     */
+    getParticleAt(x, y, radius = this.opts.pickRadius) {
+        const { x: particleX, y: particleY, radius: particleRadius } = this.store;
 
-            //top edge
-            const vy = particle.y - particle.pastY;
-            particle.y = 0;
-            particle.pastY = particle.y + vy;
+        //the grid only knows centers, so the search box has to fit the largest particle
+        let largestRadius = 0;
+        for (let i = 0; i < this.store.count; i++) {
+            if (particleRadius[i] > largestRadius) largestRadius = particleRadius[i];
         }
-        
-        //check if we moved to different grid cell
-        if (this.opts.enableSpatialPartitioning) {
-            const newGridKey = this.getGridKey(particle.x, particle.y);
-            if (newGridKey !== oldGridKey) {
-                this.removeFromGrid(particle);
-                this.addToGrid(particle);
+        const reach = radius + largestRadius;
+        const candidateCount = this.gatherCandidates(x - reach, y - reach, x + reach, y + reach);
+        const candidates = this.queryIndices;
+
+        let closest = -1;
+        let closestGap = radius;
+        for (let c = 0; c < candidateCount; c++) {
+            const i = candidates[c];
+            const gap = Math.hypot(particleX[i] - x, particleY[i] - y) - particleRadius[i];
+            if (gap <= closestGap) {
+                closest = i;
+                closestGap = gap;
             }
         }
-        
+        return closest === -1 ? null : this.particles[closest];
     }
 
     /**
-     * Preformance friendly update for LOD mode - velocity, forces, and boundary checks
-     * @param {Object} particle - particle to update minimally
+     * @param {number} x - circle center
+     * @param {number} y - circle center
+     * @param {number} radius - circle radius
+     * @returns {ParticleHandle[]} every particle whose center lies inside the circle
      */
-    applyMinimalParticleUpdate(particle) {
+    queryRadius(x, y, radius) {
+        const { x: particleX, y: particleY } = this.store;
+        const candidateCount = this.gatherCandidates(x - radius, y - radius, x + radius, y + radius);
+        const candidates = this.queryIndices;
+        const radiusSquared = radius * radius;
+
+        const result = [];
+        for (let c = 0; c < candidateCount; c++) {
+            const i = candidates[c];
+            const dx = particleX[i] - x;
+            const dy = particleY[i] - y;
+            if (dx * dx + dy * dy <= radiusSquared) {
+                result.push(this.particles[i]);
+            }
+        }
+        return result;
+    }
 
-        const oldGridKey = particle.gridKey;
+    /**
+     * @param {number} x - left edge
+     * @param {number} y - top edge
+     * @param {number} width - rectangle width
+     * @param {number} height - rectangle height
+     * @returns {ParticleHandle[]} every particle whose center lies inside the rectangle
+     */
+    queryRect(x, y, width, height) {
+        const { x: particleX, y: particleY } = this.store;
+        const candidateCount = this.gatherCandidates(x, y, x + width, y + height);
+        const candidates = this.queryIndices;
 
-        //apply accumulated forces (mouse repel, etc.) to velocity
-        particle.vx += particle.fx;
-        particle.vy += particle.fy;
+        const result = [];
+        for (let c = 0; c < candidateCount; c++) {
+            const i = candidates[c];
+            if (particleX[i] >= x && particleX[i] <= x + width && particleY[i] >= y && particleY[i] <= y + height) {
+                result.push(this.particles[i]);
+            }
+        }
+        return result;
+    }
 
-        //simple position update using updated velocity
-        particle.x += particle.vx;
-        particle.y += particle.vy;
+    /**
+     * Grabs the particle under a pressed pointer, plus its neighbours within dragRadius.
+     * held particles are marked with pinned = 2, so the physics treats them as pinned while
+     * the public pinned flag keeps its value
+     * @param {Object} pointer - pressed pointer
+     */
+    startDrag(pointer) {
+        const grabbed = this.getParticleAt(pointer.x, pointer.y);
+        if (!grabbed) return;
 
-        //update past positions for velocity calculation
-        particle.pastX = particle.x - particle.vx;
-        particle.pastY = particle.y - particle.vy;
+        const cluster = this.opts.dragRadius > 0 ?
+            this.queryRadius(grabbed.x, grabbed.y, this.opts.dragRadius) :
+            [grabbed];
+        const pinned = this.store.pinned;
 
-        //simplified boundary logic
-        if (particle.x >= this.width) {
-            particle.x = this.width;
-            particle.vx = -Math.abs(particle.vx);
-        } else if (particle.x <= 0) {
-            particle.x = 0;
-            particle.vx = Math.abs(particle.vx);
+        pointer.drag = [];
+        for (const particle of cluster) {
+            //already held by another pointer
+            if (pinned[particle.index] === 2) continue;
+            pointer.drag.push({
+                particle,
+                id: particle.id,
+                offsetX: particle.x - pointer.x,
+                offsetY: particle.y - pointer.y,
+                pinned: pinned[particle.index]
+            });
+            pinned[particle.index] = 2;
         }
+        this.updateCursor();
+    }
 
-        if (particle.y >= this.height) {
-            particle.y = this.height;
-            particle.vy = -Math.abs(particle.vy);
-        } else if (particle.y <= 0) {
-            particle.y = 0;
-            particle.vy = Math.abs(particle.vy)
-        }
+    /**
+     * Moves held particles onto their pointers. the step's movement stays in pastX / pastY,
+     * so a released particle flies on with the pointer's last velocity
+     */
+    applyDrag() {
+        const { x, y, pastX, pastY } = this.store;
+        for (const pointer of this.pointers.values()) {
+            if (!pointer.drag) continue;
 
-        //reset forces before next frame
-        particle.fx = 0;
-        particle.fy = 0;
+            for (const held of pointer.drag) {
+                const particle = held.particle;
+                //removed while held, its handle may already belong to a new particle
+                if (!particle.active || particle.id !== held.id) continue;
 
-        //update grid if moved to different cell
-        if (this.opts.enableSpatialPartitioning) {
-            const newGridKey = this.getGridKey(particle.x, particle.y);
-            if (newGridKey !== oldGridKey) {
-                this.removeFromGrid(particle);
-                this.addToGrid(particle);
+                const index = particle.index;
+                pastX[index] = x[index];
+                pastY[index] = y[index];
+                x[index] = pointer.x + held.offsetX;
+                y[index] = pointer.y + held.offsetY;
             }
         }
-
     }
-    //simulation update / frame
-    update(deltaTime) {
 
-        //in LOD mode, update every second particle with the minimal update method
-        if (this.lodMode && this.opts.enableAdaptiveLOD) {
-            for (let i = 0; i < this.particles.length; i++) {
-                const particle = this.particles[i];
-                if (i % 2 === 1) {
-                    this.updateParticle(particle, deltaTime);
-                } else {
-                    this.applyMinimalParticleUpdate(particle, deltaTime);
-                }
-            }
-        } else {
-            //update all particles normally
-            for (const particle of this.particles) {
-                this.updateParticle(particle, deltaTime);
-            }
-        }
+    //lets go of everything a pointer holds, restoring the particles' own pinned state
+    releaseDrag(pointer) {
+        if (!pointer.drag) return;
 
-        if (this.opts.enableMouseRepel) {
-            this.applyMouseRepel();
+        for (const held of pointer.drag) {
+            const particle = held.particle;
+            if (particle.active && particle.id === held.id) {
+                this.store.pinned[particle.index] = held.pinned;
+            }
         }
+        pointer.drag = null;
+        this.updateCursor();
     }
-    
-    //#endregion
-    
-    //#region Rendering
 
     /**
-     * Calculate connection alpha based on distance (intuitive: closer = brighter)
-     * @param {number} distance - Distance between particles
-     * @returns {number} Alpha value between 0 and opacityStep
+     * Ends a press: drops held particles and emits particleClick when the pointer
+     * stayed within clickTolerance of where it went down
+     * @param {Object} pointer - released pointer
+     * @param {number} pointerId - id of the pointer
      */
-    calculateConnectionAlpha(distance) {
-        if (distance > this.opts.maxConnectionDistance) {
-            //no connection beyond max distance
-            return 0;
-        }
-        
-        if (distance <= this.opts.fadeStartDistance) {
-            //full opacity for close particles
-            return this.opts.opacityStep; 
+    endPress(pointer, pointerId) {
+        const held = pointer.drag ? pointer.drag[0] : null;
+        this.releaseDrag(pointer);
+
+        if (pointer.downX === null) return;
+        pointer.downX = null;
+        pointer.downY = null;
+
+        if (!this.hasListeners('particleClick')) return;
+        const particle = held && held.particle.active && held.particle.id === held.id ?
+            held.particle :
+            this.getParticleAt(pointer.x, pointer.y);
+        if (particle) {
+            this.emit('particleClick', { particle, x: pointer.x, y: pointer.y, pointerId });
         }
-        
-        //linear fade from fadeStartDistance to maxConnectionDistance
-        const fadeRange = this.opts.maxConnectionDistance - this.opts.fadeStartDistance;
-        const fadeProgress = (distance - this.opts.fadeStartDistance) / fadeRange;
-        const alpha = this.opts.opacityStep * (1.0 - fadeProgress);
-        
-        //minimum visible alpha
-        return Math.max(alpha, 0.01); 
     }
 
-    
-    //batch collect all rendering data before drawing
-    collectRenderData() {
-        //pre-allocate arrays to reduce reallocations
-        if (this.particlePositions.length !== this.particles.length) {
-            //ensure we have enough positions
-            while (this.particlePositions.length < this.particles.length) {
-                this.particlePositions.push({ x: 0, y: 0 });
-            }
-            //trim if we have too many
-            this.particlePositions.length = this.particles.length;
-        }
-        
-        this.connectionLines.length = 0;
-        
-        //apply LOD reduction to max connection distance
-        //scale connection distance inversely with particle count
-        const baseConnectionDistance = this.opts.maxConnectionDistance;
-        //density factor: more particles = smaller connections, fewer particles = larger connections
-        const densityFactor = Math.max(0.5, 1000 / Math.max(1, this.particles.length));
-        const scaledConnectionDistance = baseConnectionDistance * densityFactor;
-
-        //add hysteresis in LOD mode to prevent connection flickering
-        const hysteresisFactor = this.lodMode ? (1 + this.opts.connectionHysteresis) : 1.0;
-
-        const maxConnectionDistance = this.lodMode ?
-            scaledConnectionDistance * this.opts.lodConnectionReduction * hysteresisFactor :
-            scaledConnectionDistance;
-        
-        //collect particle positions
-        for (let i = 0; i < this.particles.length; i++) {
-            const particle = this.particles[i];
-            this.particlePositions[i].x = particle.x;
-            this.particlePositions[i].y = particle.y;
-        }
-        
-        //collect connections (with LOD and limits)
-        if (this.opts.enableConnections) {
-            //pre-allocate some connection objects to reduce allocations
-            //use a more adaptive approach based on particle count and connections per particle
-            const estimatedConnections = Math.min(
-                this.particles.length * this.opts.maxConnectionsPerParticle,
-                30000 //reasonable upper limit to prevent excessive memory usage
-            );
-            while (this.connectionLines.length < estimatedConnections) {
-                this.connectionLines.push({ x1: 0, y1: 0, x2: 0, y2: 0, alpha: 0 });
+    //tracks the particle under each pointer, emitting particleEnter / particleLeave. runs every frame since particles move under a still pointer
+    updateHover() {
+        if (!this.opts.enableDrag && !this.hasListeners('particleEnter') && !this.hasListeners('particleLeave')) return;
+
+        this.pruneExpiredPointers();
+        for (const [pointerId, pointer] of this.pointers) {
+            //held particles stay hovered until they are let go
+            const particle = pointer.drag ? pointer.hovered : this.getParticleAt(pointer.x, pointer.y);
+            if (particle === pointer.hovered) continue;
+
+            if (pointer.hovered) {
+                this.emit('particleLeave', { particle: pointer.hovered, x: pointer.x, y: pointer.y, pointerId });
             }
-            let connectionIndex = 0;
-            
-            for (let i = 0; i < this.particles.length; i++) {
-                const particle = this.particles[i];
-                const nearbyParticles = this.getNearbyParticles(particle);
-                let connectionCount = 0;
-                
-                for (const otherParticle of nearbyParticles) {
-                    if (otherParticle === particle) continue;
-                    if (connectionCount >= this.opts.maxConnectionsPerParticle) break;
-                    
-                    const dx = particle.x - otherParticle.x;
-                    const dy = particle.y - otherParticle.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    
-                    if (distance > maxConnectionDistance) continue;
-                    
-                    const alpha = this.calculateConnectionAlpha(distance);
-                    if (alpha <= 0.01) continue;
-                    
-                    //reuse connection objects to reduce allocations
-                    if (connectionIndex >= this.connectionLines.length) {
-                        this.connectionLines.push({
-                            x1: particle.x,
-                            y1: particle.y,
-                            x2: otherParticle.x,
-                            y2: otherParticle.y,
-                            alpha: alpha
-                        });
-                    } else {
-                        const connection = this.connectionLines[connectionIndex];
-                        connection.x1 = particle.x;
-                        connection.y1 = particle.y;
-                        connection.x2 = otherParticle.x;
-                        connection.y2 = otherParticle.y;
-                        connection.alpha = alpha;
-                    }
-                    connectionIndex++;
-                    
-                    connectionCount++;
-                }
+            pointer.hovered = particle;
+            if (particle) {
+                this.emit('particleEnter', { particle, x: pointer.x, y: pointer.y, pointerId });
             }
-            //set the actual length based on last used index
-            this.connectionLines.length = connectionIndex;
         }
+        this.updateCursor();
     }
-    
-    //batch render all particles and connections
-    render() {
-        //clear canvas (unless options are enabled)
-        if (!this.opts.enablePersistence && !this.opts.enableTrails) {
-            this.ctx.fillStyle = this.opts.backgroundColor;
-            this.ctx.fillRect(0, 0, this.width, this.height);
-        } else if (this.opts.enableTrails && !this.opts.enablePersistence) {
-            //for trails, use a semi-transparent overlay to create fade effect
-            this.ctx.fillStyle = this.opts.backgroundColor + '20';
-            this.ctx.fillRect(0, 0, this.width, this.height);
-        }
-        
-        //collect all render data first
-        if (this.opts.enableBatchRendering) {
-            this.collectRenderData();
-            
-            //render connections
-            this.batchRenderConnections();
-            this.batchRenderParticles();
-        } else {
-            //fallback to individual rendering
-            this.ctx.strokeStyle = this.opts.particleColor;
-            this.ctx.lineWidth = 1;
-            this.ctx.imageSmoothingEnabled = true;
-            this.ctx.imageSmoothingQuality = 'high';
-            
-            for (const particle of this.particles) {
-                this.ctx.beginPath();
-                this.drawParticle(particle);
-                this.ctx.closePath();
+
+    //grab / grabbing cursors while dragging is enabled
+    updateCursor() {
+        if (!this.canvas || !this.canvas.style) return;
+
+        let cursor = this.originalCursor;
+        if (this.opts.enableDrag) {
+            for (const pointer of this.pointers.values()) {
+                if (pointer.drag) {
+                    cursor = 'grabbing';
+                    break;
+                }
+                if (pointer.hovered) cursor = 'grab';
             }
         }
-    }
-    
-    //batch render all particles at once
-    batchRenderParticles() {
-        this.ctx.strokeStyle = this.opts.particleColor;
-        this.ctx.lineWidth = 1;
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
-        
-        this.ctx.beginPath();
-        for (const pos of this.particlePositions) {
-            this.ctx.moveTo(pos.x + this.opts.radius, pos.y);
-            this.ctx.arc(pos.x, pos.y, this.opts.radius, 0, 2 * Math.PI);
+        if (this.canvas.style.cursor !== cursor) {
+            this.canvas.style.cursor = cursor;
         }
-        this.ctx.stroke();
     }
+    //#endregion
     
-    
-    //batch render all connections
-    batchRenderConnections() {
-        //early exit if no connections to render
-        if (this.connectionLines.length === 0) return;
-        
-        const color = parseColor(this.opts.particleColor);
-        
-        //group connections by alpha for batch rendering
-        const alphaGroups = new Map();
-        
-        //process current connections
-        for (const line of this.connectionLines) {
-            
-            if(line.alpha <= 0) continue;
+    //#region Force fields
 
-            //pre-multiply alpha by 100 and round to avoid division during rendering
-            const alphaKey = Math.round(line.alpha * 100);
-            if (!alphaGroups.has(alphaKey)) {
-                alphaGroups.set(alphaKey, []);
-            }
-            alphaGroups.get(alphaKey).push(line);
+    /**
+     * Resets every particle's force accumulators and gathers this step's forces
+     * (pointer repel and user force fields) into fx / fy for the next integration
+     */
+    applyForces() {
+        this.store.fx.fill(0, 0, this.store.count);
+        this.store.fy.fill(0, 0, this.store.count);
+
+        if (this.opts.enableMouseRepel) {
+            this.applyMouseRepel();
         }
-        
-        //pre-calculate alpha values for each group to avoid division in the loop
-        const alphaValues = new Map();
-        for (const [alphaKey, lines] of alphaGroups) {
-            alphaValues.set(alphaKey, alphaKey / 100);
-        }
-
-        //render each alpha group in one batch
-        for (const [alphaKey, lines] of alphaGroups) {
-            //use pre-calculated alpha value
-            const alpha = alphaValues.get(alphaKey);
-            this.ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
-            this.ctx.beginPath();
-            
-            for (const line of lines) {
-                this.ctx.moveTo(line.x1, line.y1);
-                this.ctx.lineTo(line.x2, line.y2);
+
+        for (const field of this.forces) {
+            if (!field.enabled) continue;
+            for (let i = 0; i < this.store.count; i++) {
+                this.applyForceField(field, i);
             }
-            
-            this.ctx.stroke();
         }
-    }
-    
-    drawParticle(particle) {
-
-        this.ctx.save();
-        
-        //draw the particle
-        this.ctx.arc(particle.x, particle.y, this.opts.radius, 0, 2 * Math.PI);
-        this.ctx.stroke();
 
-        //draw connections if enabled
-        if (this.opts.enableConnections) {
-            this.drawConnections(particle);
+        if (this.nodeCount > 0 || this.edges.length > 0) {
+            this.applyGraphForces();
         }
-        
-        this.ctx.restore();
-    }
-    
-    drawConnections(particle) {
 
-        const nearbyParticles = this.getNearbyParticles(particle);
-        
-        let connectionCount = 0;
-        for (const otherParticle of nearbyParticles) {
-            if (otherParticle === particle) continue;
-            if (connectionCount >= this.opts.maxConnectionsPerParticle) break;
-            
-            const dx = particle.x - otherParticle.x;
-            const dy = particle.y - otherParticle.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            //distance threshold check - use scaled distance for consistency
-            const baseConnectionDistance = this.opts.maxConnectionDistance;
-            const densityFactor = Math.max(0.5, 1000 / Math.max(1, this.particles.length));
-            const scaledConnectionDistance = baseConnectionDistance * densityFactor;
-            //add hysteresis in LOD mode to prevent connection flickering
-            const hysteresisFactor = this.lodMode ? (1 + this.opts.connectionHysteresis) : 1.0;
-            const maxConnectionDistance = this.lodMode ?
-                scaledConnectionDistance * this.opts.lodConnectionReduction * hysteresisFactor :
-                scaledConnectionDistance;
-                
-            if (distance > maxConnectionDistance) continue;
-            
-            //dalculate alpha
-            const alpha = this.calculateConnectionAlpha(distance);
-            if (alpha <= 0.01) continue;
-            
-            //parse color and apply alpha
-            const color = parseColor(this.opts.particleColor);
-            this.ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(particle.x, particle.y);
-            this.ctx.lineTo(otherParticle.x, otherParticle.y);
-            this.ctx.stroke();
-            
-            connectionCount++;
+        if (this.formation) {
+            this.applyFormationForces();
         }
     }
 
     /**
-      * main loop for continuously scheduling the next frame using requestAnimationFrame.
-      * uses fixed timestep for physics simulation with accumulator pattern.
-      *
-      * @param {number} currentTime - Current timestamp from requestAnimationFrame
-      */
-    animate(currentTime) {
-        if (!this.running) return;
-        
-        const deltaTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
-        
-        this.updatePerformanceTracking(currentTime);
-        
-        //always use fixed timestep for physics simulation, adjusted by speed
-        this.accumulator += deltaTime;
+     * Accumulates a single force field onto a particle. Forces are expressed like the mouse
+     * repel force: a displacement per simulation step, which both integration modes understand
+     * @param {Object} field - normalized force field (see addForce)
+     * @param {number} index - index of the particle to accumulate onto
+     */
+    applyForceField(field, index) {
+        const { x, y, fx, fy } = this.store;
 
-        const targetFPS = 60;
-        const effectiveTimestep = (1000 / targetFPS) / this.opts.speed;
+        switch (field.type) {
+            case 'wind':
+                fx[index] += field.force.x * field.strength;
+                fy[index] += field.force.y * field.strength;
+                return;
 
-        while (this.accumulator >= effectiveTimestep) {
-            this.update(effectiveTimestep);
-            this.accumulator -= effectiveTimestep;
+            case 'flow': {
+                //sample the noise field and steer along its angle
+                const t = this.simulationTime * field.timeScale;
+                const n = this.noise(x[index] * field.scale, y[index] * field.scale, t);
+                const angle = n * Math.PI * 2 * field.turbulence;
+                fx[index] += Math.cos(angle) * field.strength;
+                fy[index] += Math.sin(angle) * field.strength;
+                return;
+            }
+
+            case 'custom':
+                field.apply(this.particles[index], this);
+                return;
         }
-        
-        this.render();
-        this.animationId = requestAnimationFrame(this.animate.bind(this));
-    }
-    //#endregion
 
-    //#region API methods
+        //point based fields (attractor, repulsor, vortex)
+        const dx = x[index] - field.x;
+        const dy = y[index] - field.y;
+        const distanceSquared = dx * dx + dy * dy;
+        if (distanceSquared < 1 || distanceSquared > field.radius * field.radius) return;
 
-    start() {
-        if (this.running) return;
-        
-        this.running = true;
-        this.lastTime = performance.now();
-        this.lastFPSCheck = this.lastTime;
-        this.frameCount = 0;
-        this.animate(this.lastTime);
-    }
-    
-    stop() {
-        if (!this.running) return;
-        
-        this.running = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        const distance = Math.sqrt(distanceSquared);
+        const falloff = field.falloff === 'linear' && field.radius !== Infinity ?
+            (field.radius - distance) / field.radius :
+            1;
+        const force = field.strength * falloff;
+
+        //unit vector pointing away from the field center
+        const nx = dx / distance;
+        const ny = dy / distance;
+
+        if (field.type === 'attractor') {
+            fx[index] -= nx * force;
+            fy[index] -= ny * force;
+        } else if (field.type === 'repulsor') {
+            fx[index] += nx * force;
+            fy[index] += ny * force;
+        } else if (field.type === 'vortex') {
+            //tangential swirl, plus an optional inward pull to spiral into the center
+            const direction = field.clockwise ? 1 : -1;
+            fx[index] += (-ny * direction) * force - nx * force * field.pull;
+            fy[index] += (nx * direction) * force - ny * force * field.pull;
         }
     }
-    
-    resize() {
-        this.fitToParent();
-    }
-    
-    destroy() {
-        this.stop();
-
-        window.removeEventListener('resize', this.boundResize);
-        document.removeEventListener('visibilitychange', this.boundVisibilityChange);
- 
-        this.particles = [];
-        this.particlePool = [];
-        this.grid.clear();
 
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * Adds a force field to the simulation
+     * @param {Object} field - force field description. `type` is one of:
+     *   'attractor' / 'repulsor' - { x, y, strength, radius, falloff }
+     *   'vortex' - { x, y, strength, radius, falloff, clockwise, pull }
+     *   'wind' - { force: { x, y }, strength }
+     *   'flow' - noise driven flow field { strength, scale, timeScale, turbulence }
+     *   'custom' - { apply(particle, system) } which adds directly to particle.fx / fy
+     * @returns {number} id of the force, used by updateForce / removeForce
+     */
+    addForce(field) {
+        const normalized = this.normalizeForceField(field);
+        this.forces.push(normalized);
+        return normalized.id;
     }
-    
+
     /**
-     * @param {Object} newOptions - new options to merge with existing
+     * Merges changes into an existing force field, e.g. to follow a moving element
+     * @param {number} id - id returned by addForce
+     * @param {Object} changes - properties to change
+     * @returns {boolean} true if the force was found
      */
-    updateOptions(newOptions) {
-        this.opts = { ...this.opts, ...newOptions };
-        
-        if (newOptions.gridSize || newOptions.enableSpatialPartitioning !== undefined) {
-            this.rebuildGrid();
-        }
+    updateForce(id, changes) {
+        const index = this.forces.findIndex(field => field.id === id);
+        if (index === -1) return false;
+        this.forces[index] = this.normalizeForceField({ ...this.forces[index], ...changes, id });
+        return true;
     }
-    
+
     /**
-     * Return performance statistics
+     * @param {number} id - id returned by addForce
+     * @returns {boolean} true if the force was found and removed
      */
-    getStats() {
-        return {
-            fps: this.currentFPS,
-            particleCount: this.particles.length,
-            lodMode: this.lodMode,
-            poolSize: this.particlePool.length,
-            connectionCount: this.connectionLines.length
-        };
+    removeForce(id) {
+        const index = this.forces.findIndex(field => field.id === id);
+        if (index === -1) return false;
+        this.forces.splice(index, 1);
+        return true;
     }
-    
-    addParticle(x, y) {
-        const particle = this.createParticle(x, y);
-        this.particles.push(particle);
-        return particle;
+
+    clearForces() {
+        this.forces.length = 0;
     }
-    
-    removeParticle() {
-        if (this.particles.length > 0) {
-            const particle = this.particles.pop();
-            this.returnParticleToPool(particle);
-            return particle;
-        }
-        return null;
+
+    getForces() {
+        return this.forces.map(field => ({ ...field }));
     }
-    
-    setParticleCount(count) {
-        const targetCount = Math.max(0, Math.floor(count));
-        
-        while (this.particles.length < targetCount) {
-            this.addParticle(
-                Math.random() * this.width,
-                Math.random() * this.height
-            );
+
+    //fills in defaults for a force field and validates its type
+    normalizeForceField(field) {
+        const type = field.type || (typeof field.apply === 'function' ? 'custom' : undefined);
+        if (!FORCE_FIELD_DEFAULTS[type]) {
+            throw new Error(`Unknown force field type: ${field.type}`);
         }
-        
-        while (this.particles.length > targetCount) {
-            this.removeParticle();
+        if (type === 'custom' && typeof field.apply !== 'function') {
+            throw new Error('Custom force fields require an apply(particle, system) function');
         }
-    }
 
-    getParticleCount() {
+        return {
+            ...FORCE_FIELD_DEFAULTS[type],
+            ...field,
+            type,
+            id: field.id !== undefined ? field.id : this.nextForceId++,
+            enabled: field.enabled !== false
+        };
+    }
+    //#endregion
+
+    //#region Collisions and constraints
+
+    /**
+     * Relaxation solver, runs after integration. Each pass satisfies the distance constraints
+     * and pushes overlapping particles apart by moving positions directly, the velocity change
+     * then falls out of the verlet pastX / pastY for free
+     */
+    solveConstraints() {
+        const iterations = Math.max(1, Math.floor(this.opts.solverIterations));
+
+        //collision candidates come from the grid as it was after integration
+        if (this.opts.enableCollisions) {
+            this.ensureGrid();
+        }
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            for (const constraint of this.constraints) {
+                this.solveDistanceConstraint(constraint);
+            }
+            if (this.opts.enableCollisions) {
+                this.resolveCollisions();
+            }
+        }
+
+        //positions moved, the grid is rebuilt before its next use
+        this.gridDirty = true;
+    }
+
+    /**
+     * Moves both ends of a constraint towards its rest length, weighted by stiffness.
+     * heavier particles move less, pinned particles don't move at all
+     * @param {Object} constraint - constraint created by addConstraint
+     */
+    solveDistanceConstraint(constraint) {
+        const a = constraint.a;
+        const b = constraint.b;
+        if (a.pinned && b.pinned) return;
+
+        const separation = this.getSeparation(b.x, b.y, a.x, a.y, this.separation);
+        const dx = separation.dx;
+        const dy = separation.dy;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return;
+
+        const difference = (distance - constraint.restLength) / distance;
+        const weightA = this.getCorrectionWeight(a.index, b.index);
+        const weightB = this.getCorrectionWeight(b.index, a.index);
+        const offsetX = dx * difference * constraint.stiffness;
+        const offsetY = dy * difference * constraint.stiffness;
+
+        a.x += offsetX * weightA;
+        a.y += offsetY * weightA;
+        b.x -= offsetX * weightB;
+        b.y -= offsetY * weightB;
+    }
+
+    /**
+     * Circle-circle collision resolution using the spatial grid to find candidates.
+     * Each pair is only resolved once, from the particle with the lower index
+     */
+    resolveCollisions() {
+        const { x, y, radius } = this.store;
+        //a fixed collision radius overrides the particles' own radii
+        const fixedRadius = this.opts.collisionRadius;
+        //the neighbour search reaches as far apart as two particles can touch
+        let reach = fixedRadius !== null ? fixedRadius * 2 : 0;
+        if (fixedRadius === null) {
+            for (let i = 0; i < this.store.count; i++) reach = Math.max(reach, radius[i] * 2);
+        }
+
+        for (let i = 0; i < this.store.count; i++) {
+            const neighborCount = this.gatherNeighbors(x[i], y[i], reach);
+            const neighbors = this.neighborIndices;
+
+            for (let n = 0; n < neighborCount; n++) {
+                const j = neighbors[n];
+                if (j <= i) continue;
+
+                const separation = this.getSeparation(x[j], y[j], x[i], y[i], this.separation);
+                const dx = separation.dx;
+                const dy = separation.dy;
+                const distanceSquared = dx * dx + dy * dy;
+                const minDistance = fixedRadius !== null ? fixedRadius * 2 : radius[i] + radius[j];
+                if (distanceSquared >= minDistance * minDistance || distanceSquared === 0) continue;
+
+                const distance = Math.sqrt(distanceSquared);
+                const overlap = (minDistance - distance) / distance;
+                const weightA = this.getCorrectionWeight(i, j);
+                const weightB = this.getCorrectionWeight(j, i);
+
+                x[i] -= dx * overlap * weightA;
+                y[i] -= dy * overlap * weightA;
+                x[j] += dx * overlap * weightB;
+                y[j] += dy * overlap * weightB;
+            }
+        }
+    }
+
+    /**
+     * Share of a positional correction that particle `index` takes when resolved against `other`,
+     * based on inverse mass so heavy particles barely move and pinned ones not at all
+     */
+    getCorrectionWeight(index, other) {
+        const { pinned, mass } = this.store;
+        const inverseMass = pinned[index] ? 0 : 1 / mass[index];
+        const otherInverseMass = pinned[other] ? 0 : 1 / mass[other];
+        const total = inverseMass + otherInverseMass;
+        return total === 0 ? 0 : inverseMass / total;
+    }
+
+    //accepts a particle handle or an index into the particle array
+    resolveParticle(particleOrIndex) {
+        const particle = typeof particleOrIndex === 'number' ?
+            this.particles[particleOrIndex] :
+            particleOrIndex;
+        if (!particle || this.particles[particle.index] !== particle) {
+            throw new Error('Particles must be active particles or valid particle indices');
+        }
+        return particle;
+    }
+
+    /**
+     * Links two particles with a distance constraint (a spring when stiffness < 1)
+     * @param {Object|number} a - particle (as returned by addParticle) or particle index
+     * @param {Object|number} b - particle (as returned by addParticle) or particle index
+     * @param {number} restLength - length the constraint relaxes to, defaults to the current distance
+     * @param {number} stiffness - 0 to 1, how much of the error is corrected per solver pass
+     * @returns {number} id of the constraint, used by removeConstraint
+     */
+    addConstraint(a, b, restLength, stiffness = 1) {
+        const particleA = this.resolveParticle(a);
+        const particleB = this.resolveParticle(b);
+        if (particleA === particleB) {
+            throw new Error('Cannot constrain a particle to itself');
+        }
+
+        if (restLength === undefined || restLength === null) {
+            restLength = Math.hypot(particleB.x - particleA.x, particleB.y - particleA.y);
+        }
+
+        const constraint = {
+            id: this.nextConstraintId++,
+            a: particleA,
+            b: particleB,
+            restLength: Math.max(0, restLength),
+            stiffness: Math.min(1, Math.max(0, stiffness))
+        };
+        this.constraints.push(constraint);
+        return constraint.id;
+    }
+
+    /**
+     * @param {number} id - id returned by addConstraint
+     * @returns {boolean} true if the constraint was found and removed
+     */
+    removeConstraint(id) {
+        const index = this.constraints.findIndex(constraint => constraint.id === id);
+        if (index === -1) return false;
+        this.constraints.splice(index, 1);
+        return true;
+    }
+
+    clearConstraints() {
+        this.constraints.length = 0;
+    }
+
+    //drop every constraint attached to a particle, used when it leaves the simulation
+    removeConstraintsFor(particle) {
+        if (this.constraints.length === 0) return;
+        this.constraints = this.constraints.filter(constraint =>
+            constraint.a !== particle && constraint.b !== particle
+        );
+    }
+
+    /**
+     * Pins a particle in place (or releases it), useful as the anchor of a rope or cloth
+     * @param {Object|number} particleOrIndex - particle or particle index
+     * @param {boolean} pinned - whether the particle should be pinned
+     */
+    pinParticle(particleOrIndex, pinned = true) {
+        const particle = this.resolveParticle(particleOrIndex);
+        particle.pinned = pinned;
+        particle.pastX = particle.x;
+        particle.pastY = particle.y;
+    }
+    //#endregion
+
+    //#region Graph layout
+
+    /**
+     * Force-directed layout: edges pull like springs, nodes repel each other within
+     * chargeRadius (found through the grid), a weak pull keeps them centered and damping
+     * lets the layout settle. Like the other forces these are displacements per step
+     */
+    applyGraphForces() {
+        const { x, y, pastX, pastY, fx, fy, data } = this.store;
+
+        for (const edge of this.edges) {
+            const a = edge.a.index;
+            const b = edge.b.index;
+            const separation = this.getSeparation(x[b], y[b], x[a], y[a], this.separation);
+            const dx = separation.dx;
+            const dy = separation.dy;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) continue;
+
+            //each end takes half of the correction
+            const pull = (distance - edge.length) / distance * this.opts.edgeStrength * edge.weight * 0.5;
+            fx[a] += dx * pull;
+            fy[a] += dy * pull;
+            fx[b] -= dx * pull;
+            fy[b] -= dy * pull;
+        }
+
+        if (this.nodeCount === 0) return;
+
+        const chargeRadius = this.opts.chargeRadius;
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+        for (let i = 0; i < this.store.count; i++) {
+            if (data[i] === null) continue;
+
+            //every node pushes itself away from the others, so each pair is felt from both sides.
+            //in wrap mode that's the nearest copy across the seam, like collisions
+            const neighborCount = this.gatherNeighbors(x[i], y[i], chargeRadius);
+            const neighbors = this.neighborIndices;
+            for (let n = 0; n < neighborCount; n++) {
+                const j = neighbors[n];
+                if (j === i || data[j] === null) continue;
+
+                const separation = this.getSeparation(x[i], y[i], x[j], y[j], this.separation);
+                const dx = separation.dx;
+                const dy = separation.dy;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance === 0 || distance >= chargeRadius) continue;
+
+                const push = this.opts.chargeStrength * (1 - distance / chargeRadius) / distance;
+                fx[i] += dx * push;
+                fy[i] += dy * push;
+            }
+
+            fx[i] += (centerX - x[i]) * this.opts.centerStrength - (x[i] - pastX[i]) * this.opts.nodeDamping;
+            fy[i] += (centerY - y[i]) * this.opts.centerStrength - (y[i] - pastY[i]) * this.opts.nodeDamping;
+        }
+    }
+
+    /**
+     * Adds a graph node, a particle that carries data and takes part in the layout forces
+     * @param {*} data - anything to attach to the node, available as node.data
+     * @param {Object} options - { x, y, color, radius, mass, alpha, pinned }, the position
+     *   defaults to a random spot around the center
+     * @returns {ParticleHandle} the node
+     */
+    addNode(data = {}, options = {}) {
+        const { x, y, pinned = false, ...attrs } = options;
+        const node = this.createParticle(
+            x !== undefined ? x : this.width * (0.25 + this.random() * 0.5),
+            y !== undefined ? y : this.height * (0.25 + this.random() * 0.5),
+            Object.keys(attrs).length > 0 ? attrs : null
+        );
+
+        //nodes start at rest, the layout decides where they go
+        node.pastX = node.x;
+        node.pastY = node.y;
+        node.data = data === null || data === undefined ? {} : data;
+        node.pinned = pinned;
+        this.nodeCount++;
+        return node;
+    }
+
+    /**
+     * Removes a node together with its edges
+     * @param {Object|number} node - node or its particle index
+     * @returns {boolean} true if it was a node and got removed
+     */
+    removeNode(node) {
+        const particle = this.resolveParticle(node);
+        if (particle.data === null) return false;
+        this.releaseParticle(particle);
+        return true;
+    }
+
+    /**
+     * Links two particles (usually nodes) with a persistent edge. Edges act as springs in the
+     * layout and are drawn like connections, with or without the proximity connections
+     * @param {Object|number} a - node / particle or its index
+     * @param {Object|number} b - node / particle or its index
+     * @param {Object} options - { weight, color, length, alpha }. weight scales the spring,
+     *   length defaults to edgeLength and alpha to opacityStep
+     * @returns {number} id of the edge, used by removeEdge
+     */
+    addEdge(a, b, options = {}) {
+        const particleA = this.resolveParticle(a);
+        const particleB = this.resolveParticle(b);
+        if (particleA === particleB) {
+            throw new Error('Cannot connect a particle to itself');
+        }
+
+        const edge = {
+            id: this.nextEdgeId++,
+            a: particleA,
+            b: particleB,
+            weight: options.weight !== undefined ? options.weight : 1,
+            length: options.length !== undefined ? Math.max(0, options.length) : this.opts.edgeLength,
+            color: options.color || null, //null draws in the color of a
+            alpha: options.alpha !== undefined ? options.alpha : null //null follows opacityStep
+        };
+        this.edges.push(edge);
+        return edge.id;
+    }
+
+    /**
+     * @param {number} id - id returned by addEdge
+     * @returns {boolean} true if the edge was found and removed
+     */
+    removeEdge(id) {
+        const index = this.edges.findIndex(edge => edge.id === id);
+        if (index === -1) return false;
+        this.edges.splice(index, 1);
+        return true;
+    }
+
+    clearEdges() {
+        this.edges.length = 0;
+    }
+
+    //drop every edge attached to a particle, used when it leaves the simulation
+    removeEdgesFor(particle) {
+        if (this.edges.length === 0) return;
+        this.edges = this.edges.filter(edge => edge.a !== particle && edge.b !== particle);
+    }
+    //#endregion
+
+    //#region Shape forming
+
+    /**
+     * Steers the particles assigned by formShape towards their targets. each target glides
+     * from where its particle started to its point in the shape, eased over the duration,
+     * and a damped spring pulls the particle after it
+     */
+    applyFormationForces() {
+        const { x, y, pastX, pastY, fx, fy } = this.store;
+        const formation = this.formation;
+        const progress = formation.duration > 0 ?
+            Math.min(1, (this.simulationTime - formation.startTime) / formation.duration) :
+            1;
+        const eased = formation.easing(progress);
+        const { fromX, fromY, toX, toY, strength, damping } = formation;
+
+        for (const [particle, slot] of formation.slots) {
+            const i = particle.index;
+            const targetX = fromX[slot] + (toX[slot] - fromX[slot]) * eased;
+            const targetY = fromY[slot] + (toY[slot] - fromY[slot]) * eased;
+            fx[i] += (targetX - x[i]) * strength - (x[i] - pastX[i]) * damping;
+            fy[i] += (targetY - y[i]) * strength - (y[i] - pastY[i]) * damping;
+        }
+    }
+
+    /**
+     * Assembles the particles into text, an image or an SVG path. the target is drawn fitted
+     * into the bounds, sampled into about one point per particle and every particle is
+     * steered to its point until release(). nodes, pinned particles and particles added
+     * later keep moving freely, as do leftovers when the shape has fewer points than particles
+     * @param {string|Object|Array} target - text, an image / canvas / ImageBitmap / ImageData,
+     *   { path, viewBox } with SVG path data or a Path2D, or an array of { x, y } canvas points
+     * @param {Object} options - { duration, easing, bounds, font, outline, lineWidth, sample,
+     *   threshold, spacing, strength, damping }, see FORMATION_DEFAULTS
+     * @returns {number} number of particles taking part in the shape
+     */
+    formShape(target, options = {}) {
+        const settings = { ...FORMATION_DEFAULTS, ...options };
+        const easing = resolveEasing(settings.easing);
+
+        //particles free to move, pinned ones and nodes keep their place
+        const { x, y, pinned, data } = this.store;
+        const free = [];
+        for (let i = 0; i < this.store.count; i++) {
+            if (pinned[i] === 0 && data[i] === null) free.push(this.particles[i]);
+        }
+
+        const points = Array.isArray(target) ?
+            target.flatMap(point => [point.x, point.y]) :
+            this.sampleFormTarget(target, settings, free.length);
+        let pointCount = points.length / 2;
+
+        //too many points, keep a random subset spread over the whole shape
+        if (pointCount > free.length) {
+            for (let i = 0; i < free.length; i++) {
+                const j = i + Math.floor(this.random() * (pointCount - i));
+                [points[i * 2], points[j * 2]] = [points[j * 2], points[i * 2]];
+                [points[i * 2 + 1], points[j * 2 + 1]] = [points[j * 2 + 1], points[i * 2 + 1]];
+            }
+            pointCount = free.length;
+        }
+
+        //pair particles and points left to right, so nobody has to cross the whole canvas.
+        //with fewer points than particles every n-th particle takes part
+        free.sort((a, b) => a.x - b.x);
+        const order = Array.from({ length: pointCount }, (_, i) => i)
+            .sort((a, b) => points[a * 2] - points[b * 2]);
+
+        const formation = {
+            slots: new Map(), //particle -> its index in the arrays below
+            fromX: new Float32Array(pointCount),
+            fromY: new Float32Array(pointCount),
+            toX: new Float32Array(pointCount),
+            toY: new Float32Array(pointCount),
+            startTime: this.simulationTime,
+            duration: Math.max(0, settings.duration),
+            easing,
+            strength: settings.strength,
+            damping: settings.damping
+        };
+        for (let slot = 0; slot < pointCount; slot++) {
+            const particle = free[Math.floor(slot * free.length / pointCount)];
+            const point = order[slot];
+            formation.slots.set(particle, slot);
+            formation.fromX[slot] = x[particle.index];
+            formation.fromY[slot] = y[particle.index];
+            formation.toX[slot] = points[point * 2];
+            formation.toY[slot] = points[point * 2 + 1];
+        }
+
+        this.formation = formation;
+        return pointCount;
+    }
+
+    /**
+     * Draws a formShape target fitted into its bounds and samples it on an even grid
+     * @param {string|Object} target - text, image source or { path, viewBox }
+     * @param {Object} settings - formShape settings
+     * @param {number} count - particles available, sets the grid spacing unless settings.spacing does
+     * @returns {number[]} flat x, y list of canvas positions
+     */
+    sampleFormTarget(target, settings, count) {
+        const bounds = settings.bounds || {
+            x: this.width * 0.1,
+            y: this.height * 0.1,
+            width: this.width * 0.8,
+            height: this.height * 0.8
+        };
+        const raster = rasterizeFormTarget(target, bounds, settings);
+        const { width, height, pixels } = raster;
+
+        //how much of each pixel belongs to the shape, 0..1
+        const coverage = (offset) => {
+            const alpha = pixels[offset + 3] / 255;
+            if (settings.sample === 'alpha') return alpha;
+            const luminance = (0.2126 * pixels[offset] + 0.7152 * pixels[offset + 1] + 0.0722 * pixels[offset + 2]) / 255;
+            return (settings.sample === 'darkness' ? 1 - luminance : luminance) * alpha;
+        };
+
+        //spacing that gives about one point per particle over the covered area
+        let spacing = settings.spacing;
+        if (!spacing) {
+            let area = 0;
+            for (let offset = 0; offset < pixels.length; offset += 4) {
+                if (coverage(offset) >= settings.threshold) area++;
+            }
+            spacing = Math.max(1, Math.sqrt(area / Math.max(1, count)));
+        }
+
+        const points = [];
+        for (let py = spacing / 2; py < height; py += spacing) {
+            for (let px = spacing / 2; px < width; px += spacing) {
+                if (coverage((Math.floor(py) * width + Math.floor(px)) * 4) >= settings.threshold) {
+                    points.push(raster.x + px, raster.y + py);
+                }
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Lets go of the shape, the particles scatter and drift on like before
+     * @param {Object} options - { scatter }, the largest kick per axis in px per step,
+     *   defaults to spawnVelocity
+     * @returns {boolean} false if no shape was formed
+     */
+    release(options = {}) {
+        if (!this.formation) return false;
+
+        const scatter = options.scatter !== undefined ? options.scatter : this.opts.spawnVelocity;
+        const { x, y, pastX, pastY } = this.store;
+        for (const particle of this.formation.slots.keys()) {
+            const i = particle.index;
+            pastX[i] = x[i] + (this.random() - 0.5) * 2 * scatter;
+            pastY[i] = y[i] + (this.random() - 0.5) * 2 * scatter;
+        }
+        this.formation = null;
+        return true;
+    }
+    //#endregion
+
+    //#region Boundaries
+
+    /**
+     * Applies the configured boundary mode to a particle that was just integrated.
+     * Works purely on x / pastX so both update paths share the same behaviour
+     * @param {number} index - index of the particle to constrain
+     * @returns {boolean} true if the particle left the simulation and should be recycled
+     */
+    applyBoundary(index) {
+        const x = this.store.x[index];
+        const y = this.store.y[index];
+
+        switch (this.opts.boundaryMode) {
+            case 'wrap':
+                this.wrapParticle(index);
+                return false;
+
+            case 'absorb':
+                return x < 0 || x > this.width || y < 0 || y > this.height;
+
+            case 'open': {
+                //let particles drift out of view before they are recycled
+                const margin = this.opts.boundaryMargin;
+                return x < -margin || x > this.width + margin ||
+                    y < -margin || y > this.height + margin;
+            }
+
+            default:
+                this.bounceParticle(index);
+                return false;
+        }
+    }
+
+    //reflect the velocity off the edges, scaled by the restitution coefficient
+    bounceParticle(index) {
+        const { x, y, pastX, pastY } = this.store;
+        const restitution = this.opts.restitution;
+
+        if (x[index] >= this.width) {
+            //reverse the velocity (i.e. bounce away from edge)
+            const vx = x[index] - pastX[index];
+            x[index] = this.width;
+            pastX[index] = x[index] + vx * restitution;
+        } else if (x[index] <= 0) {
+            //same as above, for left edge
+            const vx = x[index] - pastX[index];
+            x[index] = 0;
+            pastX[index] = x[index] + vx * restitution;
+        }
+
+        if (y[index] >= this.height) {
+            //bottom edge
+            const vy = y[index] - pastY[index];
+            y[index] = this.height;
+            pastY[index] = y[index] + vy * restitution;
+        } else if (y[index] <= 0) {
+            //top edge
+            const vy = y[index] - pastY[index];
+            y[index] = 0;
+            pastY[index] = y[index] + vy * restitution;
+        }
+    }
+
+    //toroidal wrap, past positions shift with the particle so its velocity is untouched
+    wrapParticle(index) {
+        const { x, y, pastX, pastY } = this.store;
+
+        if (x[index] >= this.width || x[index] < 0) {
+            const shiftX = Math.floor(x[index] / this.width) * this.width;
+            x[index] -= shiftX;
+            pastX[index] -= shiftX;
+        }
+        if (y[index] >= this.height || y[index] < 0) {
+            const shiftY = Math.floor(y[index] / this.height) * this.height;
+            y[index] -= shiftY;
+            pastY[index] -= shiftY;
+        }
+    }
+
+    /**
+     * Shortest offset between two points, taking the seams into account in wrap mode
+     * (minimum image convention). writes into `out` to avoid allocations
+     * @returns {Object} out, with dx / dy set and `wrapped` true when the offset crosses a seam
+     */
+    getSeparation(x1, y1, x2, y2, out) {
+        let dx = x1 - x2;
+        let dy = y1 - y2;
+        out.wrapped = false;
+
+        if (this.opts.boundaryMode === 'wrap') {
+            if (dx > this.width / 2) dx -= this.width;
+            else if (dx < -this.width / 2) dx += this.width;
+            if (dy > this.height / 2) dy -= this.height;
+            else if (dy < -this.height / 2) dy += this.height;
+            out.wrapped = dx !== x1 - x2 || dy !== y1 - y2;
+        }
+
+        out.dx = dx;
+        out.dy = dy;
+        return out;
+    }
+
+    /**
+     * Replaces a particle that left the simulation with a fresh one from the pool.
+     * absorb mode respawns anywhere inside the canvas, open mode respawns on an edge
+     * moving inwards so the flow of particles continues (or leaves it to the emitters).
+     * mortal and emitted particles aren't replaced, they die early like they would at the end
+     * of their lifetime. the replacement is appended, so the escaped index is reused by the last particle
+     * @param {number} index - index of the escaped particle
+     */
+    recycleParticle(index) {
+        const mortal = this.store.lifetime[index] !== Infinity || this.store.emitter[index] !== null;
+        this.killParticle(index, 'escaped');
+
+        //with emitters running, they take over respawning and open mode particles simply die
+        if (mortal || (this.opts.boundaryMode === 'open' && this.emitters.length > 0)) return;
+
+        let x, y;
+        if (this.opts.boundaryMode === 'open') {
+            //pick a random point along the perimeter
+            const edge = Math.floor(this.random() * 4);
+            x = edge === 0 ? 0 : edge === 1 ? this.width : this.random() * this.width;
+            y = edge === 2 ? 0 : edge === 3 ? this.height : this.random() * this.height;
+        } else {
+            x = this.random() * this.width;
+            y = this.random() * this.height;
+        }
+
+        const replacement = this.getPooledParticle(x, y);
+
+        if (this.opts.boundaryMode === 'open') {
+            //point the spawn velocity into the canvas
+            const vx = replacement.x - replacement.pastX;
+            const vy = replacement.y - replacement.pastY;
+            if (x === 0) replacement.pastX = x - Math.abs(vx);
+            if (x === this.width) replacement.pastX = x + Math.abs(vx);
+            if (y === 0) replacement.pastY = y - Math.abs(vy);
+            if (y === this.height) replacement.pastY = y + Math.abs(vy);
+        }
+
+        if (this.hasListeners('particleAdded')) {
+            this.emit('particleAdded', { particle: replacement });
+        }
+    }
+    //#endregion
+
+    //#region Emitters and particle lifetimes
+
+    /**
+     * Advances the age of mortal particles and returns the dead ones to the pool.
+     * walks backwards so swap-removal doesn't skip anything
+     * @param {number} deltaTime - step size in milliseconds
+     */
+    ageParticles(deltaTime) {
+        const { age, lifetime } = this.store;
+        for (let i = this.store.count - 1; i >= 0; i--) {
+            if (lifetime[i] === Infinity) continue;
+
+            age[i] += deltaTime;
+            if (age[i] >= lifetime[i]) {
+                this.killParticle(i, 'expired');
+            }
+        }
+    }
+
+    //spawns particles for every active emitter based on its rate
+    updateEmitters(deltaTime) {
+        for (let i = this.emitters.length - 1; i >= 0; i--) {
+            const emitter = this.emitters[i];
+            emitter.elapsed += deltaTime;
+
+            //finished emitters stop spawning and remove themselves
+            if (emitter.elapsed > emitter.duration) {
+                this.emitters.splice(i, 1);
+                continue;
+            }
+            if (!emitter.enabled || emitter.rate <= 0) continue;
+
+            //carry fractional particles between steps so low rates still emit
+            emitter.pending += emitter.rate * deltaTime / 1000;
+            const count = Math.floor(emitter.pending);
+            emitter.pending -= count;
+            this.emitFrom(emitter, count);
+        }
+    }
+
+    /**
+     * Spawns particles from an emitter, respecting its particle cap
+     * @param {Object} emitter - emitter to spawn from
+     * @param {number} count - number of particles to spawn
+     */
+    emitFrom(emitter, count) {
+        const available = Math.min(count, emitter.maxParticles - emitter.alive);
+
+        for (let i = 0; i < available; i++) {
+            const position = this.getEmitterSpawnPoint(emitter);
+            const particle = this.getPooledParticle(position.x, position.y, emitter.attributes);
+
+            //launch within the spread cone around the emitter's direction
+            const angle = emitter.direction + (this.random() - 0.5) * emitter.spread;
+            const speed = randomInRange(emitter.velocity, this.random);
+            particle.pastX = particle.x - Math.cos(angle) * speed;
+            particle.pastY = particle.y - Math.sin(angle) * speed;
+
+            particle.lifetime = randomInRange(emitter.lifetime, this.random);
+            particle.emitter = emitter;
+            if (particle.lifetime !== Infinity) this.mortalCount++;
+            emitter.alive++;
+
+            if (this.hasListeners('particleAdded')) {
+                this.emit('particleAdded', { particle });
+            }
+        }
+    }
+
+    //random spawn position inside the emitter's shape
+    getEmitterSpawnPoint(emitter) {
+        switch (emitter.shape) {
+            case 'circle': {
+                //sqrt keeps the distribution uniform over the area
+                const angle = this.random() * Math.PI * 2;
+                const distance = Math.sqrt(this.random()) * emitter.radius;
+                return { x: emitter.x + Math.cos(angle) * distance, y: emitter.y + Math.sin(angle) * distance };
+            }
+            case 'rect':
+                return {
+                    x: emitter.x + (this.random() - 0.5) * emitter.width,
+                    y: emitter.y + (this.random() - 0.5) * emitter.height
+                };
+            case 'line': {
+                const t = this.random();
+                return { x: emitter.x + (emitter.x2 - emitter.x) * t, y: emitter.y + (emitter.y2 - emitter.y) * t };
+            }
+            default:
+                return { x: emitter.x, y: emitter.y };
+        }
+    }
+
+    /**
+     * Removes the particle at an index from the simulation and returns it to the pool.
+     * swaps with the last particle instead of splicing, so order is not preserved
+     * @param {number} index - index of the particle to remove
+     * @param {string} reason - why it leaves, passed on to particleRemoved handlers
+     */
+    killParticle(index, reason) {
+        this.releaseParticle(this.particles[index], reason);
+    }
+
+    /**
+     * Detaches a particle that is leaving the simulation from constraints and emitter, then frees its slot.
+     * particleRemoved handlers still see it in place
+     * @param {ParticleHandle} particle - particle to remove
+     * @param {string} reason - 'removed' (API), 'expired' (lifetime) or 'escaped' (boundary)
+     */
+    releaseParticle(particle, reason = 'removed') {
+        if (this.hasListeners('particleRemoved')) {
+            this.emit('particleRemoved', { particle, reason });
+        }
+        this.removeConstraintsFor(particle);
+        this.removeEdgesFor(particle);
+        if (this.formation) this.formation.slots.delete(particle);
+        if (particle.data !== null) this.nodeCount--;
+        if (particle.lifetime !== Infinity) this.mortalCount--;
+        if (particle.emitter) particle.emitter.alive--;
+        this.store.remove(particle.index);
+        this.gridDirty = true;
+        this.returnParticleToPool(particle);
+    }
+
+    /**
+     * Adds a particle emitter
+     * @param {Object} config - emitter settings
+     * @param {number} config.x - emitter position
+     * @param {number} config.y - emitter position
+     * @param {string} config.shape - 'point', 'circle' (radius), 'rect' (width, height) or 'line' (x2, y2)
+     * @param {number} config.rate - particles per second
+     * @param {number} config.burst - particles emitted immediately
+     * @param {number|number[]} config.lifetime - particle lifetime in ms, or a [min, max] range
+     * @param {number|number[]} config.velocity - launch speed, or a [min, max] range
+     * @param {number} config.direction - launch angle in radians (0 = right)
+     * @param {number} config.spread - cone angle around direction in radians (2π = all directions)
+     * @param {number} config.maxParticles - cap on this emitter's living particles
+     * @param {number} config.duration - ms until the emitter removes itself
+     * @param {Object} config.attributes - per-particle attributes for emitted particles (color, radius, mass, alpha)
+     * @returns {number} id of the emitter
+     */
+    addEmitter(config = {}) {
+        const emitter = {
+            ...EMITTER_DEFAULTS,
+            ...config,
+            id: this.nextEmitterId++,
+            alive: 0,
+            pending: 0,
+            elapsed: 0
+        };
+        this.emitters.push(emitter);
+
+        if (emitter.burst > 0) {
+            this.emitFrom(emitter, emitter.burst);
+        }
+        return emitter.id;
+    }
+
+    /**
+     * Changes an emitter's settings, e.g. to move it or change its rate
+     * @param {number} id - id returned by addEmitter
+     * @param {Object} changes - settings to change
+     * @returns {boolean} true if the emitter was found
+     */
+    updateEmitter(id, changes) {
+        const emitter = this.emitters.find(emitter => emitter.id === id);
+        if (!emitter) return false;
+
+        const { id: ignoredId, alive, pending, elapsed, ...settings } = changes;
+        Object.assign(emitter, settings);
+        return true;
+    }
+
+    /**
+     * Emits a one off burst from an existing emitter, e.g. a firework on click
+     * @param {number} id - id returned by addEmitter
+     * @param {number} count - particles to emit, defaults to the emitter's burst size
+     * @returns {boolean} true if the emitter was found
+     */
+    burst(id, count) {
+        const emitter = this.emitters.find(emitter => emitter.id === id);
+        if (!emitter) return false;
+        this.emitFrom(emitter, count !== undefined ? count : emitter.burst);
+        return true;
+    }
+
+    /**
+     * Removes an emitter. Particles it already emitted live out their lifetime
+     * @param {number} id - id returned by addEmitter
+     * @returns {boolean} true if the emitter was found and removed
+     */
+    removeEmitter(id) {
+        const index = this.emitters.findIndex(emitter => emitter.id === id);
+        if (index === -1) return false;
+        this.emitters.splice(index, 1);
+        return true;
+    }
+
+    clearEmitters() {
+        this.emitters.length = 0;
+    }
+
+    //remaining life of the particle at an index from 1 (new / immortal) to 0 (about to die)
+    getParticleLife(index) {
+        const lifetime = this.store.lifetime[index];
+        if (lifetime === Infinity) return 1;
+        return Math.max(0, 1 - this.store.age[index] / lifetime);
+    }
+    //#endregion
+
+    //#region Spatial partitioning functions
+
+    /**
+     * Grid cell for a coordinate. positions outside the canvas (open mode margins,
+     * a shrinking window) are clamped into the edge cells
+     */
+    getCellIndex(x, y) {
+        const grid = this.grid;
+        const cellX = Math.min(grid.columns - 1, Math.max(0, Math.floor(x / this.opts.gridSize)));
+        const cellY = Math.min(grid.rows - 1, Math.max(0, Math.floor(y / this.opts.gridSize)));
+        return cellY * grid.columns + cellX;
+    }
+
+    /**
+    * Rebuilds the spatial grid with a counting sort: count particles per cell, turn the counts
+    * into offsets and scatter the particle indices into one flat array. Cheap enough to run
+    * every step, so nothing has to track particles moving between cells
+    */
+    rebuildGrid() {
+        this.gridDirty = false;
+        if (!this.opts.enableSpatialPartitioning) return;
+
+        const grid = this.grid;
+        const store = this.store;
+        const count = store.count;
+        grid.columns = Math.max(1, Math.ceil(this.width / this.opts.gridSize));
+        grid.rows = Math.max(1, Math.ceil(this.height / this.opts.gridSize));
+        const cellCount = grid.columns * grid.rows;
+
+        if (grid.cellStart.length < cellCount + 1) {
+            grid.cellStart = new Int32Array(cellCount + 1);
+        }
+        if (grid.cellParticles.length < store.capacity) {
+            grid.cellParticles = new Int32Array(store.capacity);
+            grid.particleCells = new Int32Array(store.capacity);
+        }
+        const { cellStart, cellParticles, particleCells } = grid;
+
+        //count the particles in each cell
+        cellStart.fill(0, 0, cellCount + 1);
+        for (let i = 0; i < count; i++) {
+            const cell = this.getCellIndex(store.x[i], store.y[i]);
+            particleCells[i] = cell;
+            cellStart[cell]++;
+        }
+
+        //running sum, each cell now holds the end of its range
+        for (let cell = 1; cell < cellCount; cell++) {
+            cellStart[cell] += cellStart[cell - 1];
+        }
+        cellStart[cellCount] = count;
+
+        //scatter backwards, which moves every cell back to the start of its range
+        //and keeps the indices inside a cell in ascending order
+        for (let i = count - 1; i >= 0; i--) {
+            cellParticles[--cellStart[particleCells[i]]] = i;
+        }
+    }
+
+    //rebuilds the grid if particles moved, were added or removed since the last build
+    ensureGrid() {
+        if (this.gridDirty) {
+            this.rebuildGrid();
+        }
+    }
+
+    /**
+     * Collects the indices of all particles in the cells within a radius of a position into
+     * this.neighborIndices, without spatial partitioning that is every particle
+     * @param {number} x - position to query around
+     * @param {number} y - position to query around
+     * @param {number} radius - distance to cover, defaults to one cell (the 3x3 cells around)
+     * @returns {number} number of indices written
+     */
+    gatherNeighbors(x, y, radius = this.opts.gridSize) {
+        const count = this.store.count;
+        if (this.neighborIndices.length < count) {
+            this.neighborIndices = new Int32Array(this.store.capacity);
+        }
+        const neighbors = this.neighborIndices;
+
+        if (!this.opts.enableSpatialPartitioning) {
+            for (let i = 0; i < count; i++) neighbors[i] = i;
+            return count;
+        }
+
+        this.ensureGrid();
+        const { columns, rows, cellStart, cellParticles } = this.grid;
+        const cellX = Math.min(columns - 1, Math.max(0, Math.floor(x / this.opts.gridSize)));
+        const cellY = Math.min(rows - 1, Math.max(0, Math.floor(y / this.opts.gridSize)));
+        const range = Math.max(1, Math.ceil(radius / this.opts.gridSize));
+
+        //in wrap mode the neighbourhood continues on the opposite edge,
+        //a range spanning the whole grid visits every column / row once
+        const wrap = this.opts.boundaryMode === 'wrap';
+        const columnsCovered = wrap && range * 2 + 1 >= columns;
+        const rowsCovered = wrap && range * 2 + 1 >= rows;
+        const startX = columnsCovered ? 0 : wrap ? cellX - range : Math.max(0, cellX - range);
+        const endX = columnsCovered ? columns - 1 : wrap ? cellX + range : Math.min(columns - 1, cellX + range);
+        const startY = rowsCovered ? 0 : wrap ? cellY - range : Math.max(0, cellY - range);
+        const endY = rowsCovered ? rows - 1 : wrap ? cellY + range : Math.min(rows - 1, cellY + range);
+
+        let written = 0;
+        for (let row = startY; row <= endY; row++) {
+            const neighborY = (row + rows) % rows;
+            for (let column = startX; column <= endX; column++) {
+                const cell = neighborY * columns + (column + columns) % columns;
+                for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                    neighbors[written++] = cellParticles[k];
+                }
+            }
+        }
+        return written;
+    }
+
+    /**
+     * Gets the nearby particles for a given particle
+     * @param {ParticleHandle} particle the particle to check
+     * @param {number} radius - distance to cover, defaults to one grid cell
+     * @returns array of nearby particle handles (including the particle itself)
+     */
+    getNearbyParticles(particle, radius) {
+        const count = this.gatherNeighbors(particle.x, particle.y, radius);
+        const nearby = new Array(count);
+        for (let i = 0; i < count; i++) {
+            nearby[i] = this.particles[this.neighborIndices[i]];
+        }
+        return nearby;
+    }
+    
+    /**
+     * Adds a particle to the simulation, reusing a pooled handle if there is one
+     * @param {number} x - spawn position
+     * @param {number} y - spawn position
+     * @param {Object} attrs - optional per-particle attributes (color, radius, mass, alpha)
+     */
+    getPooledParticle(x, y, attrs = null) {
+        const particle = this.opts.enableObjectPooling && this.particlePool.length > 0 ?
+            this.particlePool.pop() :
+            new ParticleHandle();
+
+        //claims a fresh slot at the end of the particle arrays, reset to defaults
+        const index = this.store.add(particle);
+        particle.x = x;
+        particle.y = y;
+        particle.pastX = x + (this.random() - 0.5) * 2 * this.opts.spawnVelocity;
+        particle.pastY = y + (this.random() - 0.5) * 2 * this.opts.spawnVelocity;
+        particle.seed = this.random(); //stable pick from palettes
+        particle.attrs = attrs; //attributes given explicitly, these win over the options
+
+        this.applyParticleAttributes(particle, index);
+        
+        this.gridDirty = true;
+        return particle;
+    }
+    
+    /**
+     * Returns a detached handle to the pool instead of garbage collection
+     */
+    returnParticleToPool(particle) {
+        if (this.opts.enableObjectPooling) {
+            this.particlePool.push(particle);
+        }
+    }
+
+    //#endregion
+
+    //#region Per-particle attributes
+
+    /**
+     * Resolves a particle's color, radius, mass, alpha and shape from its explicit attributes,
+     * falling back to the matching options. Either can be a value, an array palette
+     * or a generator function
+     * @param {Object} particle - particle to assign attributes to
+     * @param {number} index - particle index, passed to generator functions
+     */
+    applyParticleAttributes(particle, index) {
+        const attrs = particle.attrs || {};
+        for (const [attribute, option] of PARTICLE_ATTRIBUTE_OPTIONS) {
+            const source = attrs[attribute] !== undefined ? attrs[attribute] : this.opts[option];
+            particle[attribute] = this.resolveAttributeValue(source, particle, index);
+        }
+        particle.mass = Math.max(particle.mass, 0.0001);
+    }
+
+    /**
+     * @param {*} source - plain value, array palette or generator function(index, particle)
+     * @param {Object} particle - particle the value is for, its seed picks from palettes
+     * @param {number} index - particle index
+     * @returns {*} the concrete value
+     */
+    resolveAttributeValue(source, particle, index) {
+        if (typeof source === 'function') {
+            return source(index, particle);
+        }
+        if (Array.isArray(source)) {
+            //the seed is stored as a float32, which rounds values just below 1 up to 1
+            return source[Math.min(source.length - 1, Math.floor(particle.seed * source.length))];
+        }
+        return source;
+    }
+
+    //re-resolves attributes for every particle, after the matching options changed
+    refreshParticleAttributes() {
+        for (let i = 0; i < this.particles.length; i++) {
+            this.applyParticleAttributes(this.particles[i], i);
+        }
+    }
+
+    /**
+     * Changes attributes of a single particle after it was created
+     * @param {Object|number} particleOrIndex - particle or particle index
+     * @param {Object} attrs - attributes to change (color, radius, mass, alpha)
+     */
+    setParticleAttributes(particleOrIndex, attrs) {
+        const particle = this.resolveParticle(particleOrIndex);
+        particle.attrs = { ...particle.attrs, ...attrs };
+        this.applyParticleAttributes(particle, particle.index);
+    }
+
+    //heading of a moving particle for rotateWithVelocity, shapes point up (-y) at rest
+    getParticleAngle(index) {
+        const { x, y, pastX, pastY } = this.store;
+        const dx = x[index] - pastX[index];
+        const dy = y[index] - pastY[index];
+        return dx === 0 && dy === 0 ? 0 : Math.atan2(dy, dx) + Math.PI / 2;
+    }
+
+    //parses a color once and caches it, palettes reuse a handful of colors every frame.
+    //var() colors are resolved against the canvas, refreshColors() looks them up again
+    getParsedColor(colorString) {
+        let color = this.colorCache.get(colorString);
+        if (!color) {
+            color = parseColor(colorString, this.canvas);
+            this.colorCache.set(colorString, color);
+        }
+        return color;
+    }
+
+    //prepares a particleShape value once (polygon points, Path2D, sprite) and caches it
+    getShape(value) {
+        let shape = this.shapeCache.get(value);
+        if (!shape) {
+            shape = createShape(value);
+            this.shapeCache.set(value, shape);
+        }
+        return shape;
+    }
+
+    //sprites and, for WebGL, paths are drawn once into an atlas and copied from there every frame
+    getSpriteAtlas() {
+        if (!this.spriteAtlas || this.spriteAtlas.fill !== this.opts.particleFill) {
+            this.spriteAtlas = new SpriteAtlas(this.opts.particleFill);
+        }
+        return this.spriteAtlas;
+    }
+    //#endregion
+
+    //#region Particle management and simulation loop
+
+    /**
+     * Restarts the random generators from a seed. spawn positions, velocities, palette picks
+     * and emitters draw from this.random, flow field noise is built from its own stream
+     * so it doesn't depend on how many particles were spawned
+     * @param {number|null} seed - integer seed, null or undefined for a random one
+     */
+    reseed(seed) {
+        this.seed = seed === null || seed === undefined ?
+            Math.floor(Math.random() * 4294967296) :
+            Math.floor(seed) >>> 0;
+        this.random = createRandom(this.seed);
+        this.noise = createNoise3D(createRandom(this.seed ^ 0x9E3779B9));
+    }
+
+    /**
+     * Creates a new particle at the given position, using object pooling if enabled
+     * @param {number} x - x-coordinate for the particle
+     * @param {number} y - y-coordinate for the particle
+     * @param {Object} attrs - optional per-particle attributes (color, radius, mass, alpha)
+     * @returns {ParticleHandle} handle of the new particle, from our pool if one is available
+     */
+    createParticle(x, y, attrs) {
+        const particle = this.getPooledParticle(x, y, attrs);
+        if (this.hasListeners('particleAdded')) {
+            this.emit('particleAdded', { particle });
+        }
+        return particle;
+    }
+    
+    /**
+     * Updates a particle's position using Verlet integration, handles boundary collisions,
+     * and applies velocity damping.
+     * @param {number} index - index of the particle to update
+     * @param {number} deltaTime - time since last update in milliseconds
+     * @returns {boolean} true if the particle escaped and should be recycled
+     */
+    updateParticle(index, deltaTime = 16.67) {
+        const { x, y, pastX, pastY, vx, vy, fx, fy, mass } = this.store;
+
+        //pinned particles hold their position and only act as constraint anchors
+        if (this.store.pinned[index]) {
+            pastX[index] = x[index];
+            pastY[index] = y[index];
+            return false;
+        }
+        
+        //use verlet integration to resolve new / next position
+        //store the current position before updating
+        const currentX = x[index];
+        const currentY = y[index];
+        
+        //calculate velocity from previous positions
+        //here vx represents the change in position (delta x) since last frame
+        vx[index] = currentX - pastX[index];
+        vy[index] = currentY - pastY[index];
+        
+        let newX, newY;
+        
+        const dt = deltaTime / 1000;
+        
+        if (this.opts.enableAdvancedPhysics) {
+            //advanced verlet integration with acceleration and damping
+            //newPosition = 2 * currentPosition - pastPosition + acceleration * dt²
+            
+            //apply damping to velocity
+            vx[index] *= this.opts.damping;
+            vy[index] *= this.opts.damping;
+            
+            //calculate acceleration, gravity + particle's stored forces (from mouse repel, etc.)
+            //scale mouse forces for acceleration (convert from position units to acceleration units)
+            //forces act inversely to mass, gravity accelerates everything equally
+            const forceScale = 1 / (dt * dt * mass[index]); 
+            const ax = this.opts.gravity.x + fx[index] * forceScale;
+            const ay = this.opts.gravity.y + fy[index] * forceScale;
+            
+            //apply verlet integration formula with acceleration
+            newX = 2 * currentX - pastX[index] + ax * dt * dt;
+            newY = 2 * currentY - pastY[index] + ay * dt * dt;
+        } else {
+            //basic verlet integration with mouse forces
+            //newPosition = currentPosition + velocity + force / mass
+            newX = currentX + vx[index] + fx[index] / mass[index];
+            newY = currentY + vy[index] + fy[index] / mass[index];
+        }
+
+        pastX[index] = currentX;
+        pastY[index] = currentY;
+        x[index] = newX;
+        y[index] = newY;
+
+        //edge handling (bounce, wrap, absorb or open)
+        return this.applyBoundary(index);
+    }
+
+    /**
+     * Preformance friendly update for LOD mode - velocity, forces, and boundary checks
+     * @param {number} index - index of the particle to update minimally
+     * @returns {boolean} true if the particle escaped and should be recycled
+     */
+    applyMinimalParticleUpdate(index) {
+        const { x, y, pastX, pastY, vx, vy, fx, fy, mass } = this.store;
+
+        if (this.store.pinned[index]) return false;
+
+        //apply accumulated forces (mouse repel, etc.) to velocity
+        vx[index] += fx[index] / mass[index];
+        vy[index] += fy[index] / mass[index];
+
+        //simple position update using updated velocity
+        x[index] += vx[index];
+        y[index] += vy[index];
+
+        //update past positions for velocity calculation
+        pastX[index] = x[index] - vx[index];
+        pastY[index] = y[index] - vy[index];
+
+        //same edge handling as the full update, then keep velocity in sync with it
+        const escaped = this.applyBoundary(index);
+        vx[index] = x[index] - pastX[index];
+        vy[index] = y[index] - pastY[index];
+
+        //reset forces before next frame
+        fx[index] = 0;
+        fy[index] = 0;
+
+        return escaped;
+    }
+    //simulation update / frame
+    update(deltaTime) {
+        if (this.hasListeners('beforeUpdate')) {
+            this.emit('beforeUpdate', { deltaTime, time: this.simulationTime });
+        }
+
+        const escapedParticles = this.escapedParticles;
+        escapedParticles.length = 0;
+
+        //in LOD mode, update every second particle with the minimal update method
+        if (this.lodMode && this.opts.enableAdaptiveLOD) {
+            for (let i = 0; i < this.store.count; i++) {
+                const escaped = i % 2 === 1 ?
+                    this.updateParticle(i, deltaTime) :
+                    this.applyMinimalParticleUpdate(i);
+                if (escaped) escapedParticles.push(i);
+            }
+        } else {
+            //update all particles normally
+            for (let i = 0; i < this.store.count; i++) {
+                if (this.updateParticle(i, deltaTime)) {
+                    escapedParticles.push(i);
+                }
+            }
+        }
+        //held particles follow their pointers
+        if (this.pointers.size > 0) {
+            this.applyDrag();
+        }
+
+        //everything moved, the grid is rebuilt on its next use
+        this.gridDirty = true;
+
+        //particles that left the simulation area (absorb / open modes) get recycled,
+        //highest index first so removals don't shift the ones still to process
+        for (let i = escapedParticles.length - 1; i >= 0; i--) {
+            this.recycleParticle(escapedParticles[i]);
+        }
+
+        //age out mortal particles, then let the emitters spawn new ones
+        if (this.mortalCount > 0) {
+            this.ageParticles(deltaTime);
+        }
+        if (this.emitters.length > 0) {
+            this.updateEmitters(deltaTime);
+        }
+
+        if (this.opts.enableCollisions || this.constraints.length > 0) {
+            this.solveConstraints();
+        }
+
+        this.simulationTime += deltaTime;
+        if (this.optionTransitions.size > 0 || this.timelines.length > 0) {
+            this.updateOptionTransitions(deltaTime);
+        }
+        this.applyForces();
+
+        if (this.hasListeners('afterUpdate')) {
+            this.emit('afterUpdate', { deltaTime, time: this.simulationTime });
+        }
+    }
+    
+    //#endregion
+    
+    //#region Connection selection
+
+    /**
+     * Distance within which particles connect, scaled down with particle density and in
+     * LOD mode. never more than maxConnectionDistance, where connections have faded out anyway
+     */
+    getConnectionDistance() {
+        //density factor: past 1000 particles connections get shorter, down to half at 2000
+        const densityFactor = Math.min(1, Math.max(0.5, 1000 / Math.max(1, this.particles.length)));
+        const distance = this.opts.maxConnectionDistance * densityFactor;
+        return this.lodMode ? distance * this.opts.lodConnectionReduction : distance;
+    }
+
+    /**
+     * Picks every particle's connections: its nearest neighbours within the connection
+     * distance, at most maxConnectionsPerParticle of them. the grid is searched as far as the
+     * distance reaches. new connections only form connectionHysteresis closer than the distance,
+     * connections from the last frame stay up to the distance and rank that much closer, so links
+     * don't flicker at the edge or swap back and forth between neighbours at about the same
+     * distance. the band is inside the distance so held links fade out with it instead of popping.
+     * fills linkPartners / linkCounts, a pair may be picked from both ends
+     */
+    selectConnections() {
+        const { x, y } = this.store;
+        const count = this.store.count;
+        const capacity = this.store.capacity;
+        const slots = Math.max(0, Math.floor(this.opts.maxConnectionsPerParticle));
+        const distance = this.getConnectionDistance();
+        const hysteresis = 1 + Math.max(0, this.opts.connectionHysteresis);
+        const formDistance = distance / hysteresis;
+
+        if (this.linkPartners.length < capacity * slots) {
+            this.linkPartners = new Int32Array(capacity * slots);
+            this.linkRanks = new Float64Array(capacity * slots);
+        }
+        if (this.linkCounts.length < capacity) {
+            this.linkCounts = new Int32Array(capacity);
+        }
+        this.linkSlots = slots;
+        const { linkPartners: partners, linkRanks: ranks, linkCounts: counts } = this;
+
+        //last frame's picks, and this frame's to remember for the next one
+        const previous = this.linkMemory;
+        let next = this.nextLinkMemory;
+        if (next.owners.length < capacity || next.slots !== slots) {
+            next = createLinkMemory(capacity, slots);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const base = i * slots;
+            let picked = 0;
+            const neighborCount = slots > 0 ? this.gatherNeighbors(x[i], y[i], distance) : 0;
+            const neighbors = this.neighborIndices;
+
+            for (let n = 0; n < neighborCount; n++) {
+                const j = neighbors[n];
+                if (j === i) continue;
+
+                const separation = this.getSeparation(x[i], y[i], x[j], y[j], this.separation);
+                const dx = separation.dx;
+                const dy = separation.dy;
+                const pairDistance = Math.sqrt(dx * dx + dy * dy);
+                if (pairDistance > distance) continue;
+
+                const connected = this.wasConnected(previous, i, j);
+                if (!connected && pairDistance > formDistance) continue;
+                const rank = connected ? pairDistance / hysteresis : pairDistance;
+                if (picked === slots && rank >= ranks[base + slots - 1]) continue;
+
+                //insert into the picks, which stay sorted nearest first. when they are full the farthest drops out
+                let slot = picked < slots ? picked++ : slots - 1;
+                while (slot > 0 && ranks[base + slot - 1] > rank) {
+                    ranks[base + slot] = ranks[base + slot - 1];
+                    partners[base + slot] = partners[base + slot - 1];
+                    slot--;
+                }
+                ranks[base + slot] = rank;
+                partners[base + slot] = j;
+            }
+            counts[i] = picked;
+
+            //remembered by id, indices change as particles are removed
+            next.owners[i] = this.particles[i].id;
+            next.counts[i] = picked;
+            for (let s = 0; s < picked; s++) {
+                next.partners[base + s] = this.particles[partners[base + s]].id;
+            }
+        }
+
+        this.linkMemory = next;
+        this.nextLinkMemory = previous;
+    }
+
+    //whether particle `index` picked `other` in this frame's selectConnections
+    hasPickedConnection(index, other) {
+        const base = index * this.linkSlots;
+        for (let s = 0; s < this.linkCounts[index]; s++) {
+            if (this.linkPartners[base + s] === other) return true;
+        }
+        return false;
+    }
+
+    //whether either particle picked the other in the frame the link memory is from
+    wasConnected(memory, index, other) {
+        const id = this.particles[index].id;
+        const otherId = this.particles[other].id;
+        return linkMemoryHas(memory, index, id, otherId) || linkMemoryHas(memory, other, otherId, id);
+    }
+    //#endregion
+
+    //#region Rendering
+
+    /**
+     * Calculate connection alpha based on distance (intuitive: closer = brighter)
+     * @param {number} distance - Distance between particles
+     * @returns {number} Alpha value between 0 and opacityStep
+     */
+    calculateConnectionAlpha(distance) {
+        if (distance > this.opts.maxConnectionDistance) {
+            //no connection beyond max distance
+            return 0;
+        }
+        
+        if (distance <= this.opts.fadeStartDistance) {
+            //full opacity for close particles
+            return this.opts.opacityStep; 
+        }
+        
+        //linear fade from fadeStartDistance to maxConnectionDistance
+        const fadeRange = this.opts.maxConnectionDistance - this.opts.fadeStartDistance;
+        const fadeProgress = (distance - this.opts.fadeStartDistance) / fadeRange;
+        const alpha = this.opts.opacityStep * (1.0 - fadeProgress);
+        
+        //minimum visible alpha
+        return Math.max(alpha, 0.01); 
+    }
+
+    
+    //batch collect all rendering data before drawing
+    collectRenderData() {
+        //pre-allocate arrays to reduce reallocations
+        if (this.particlePositions.length !== this.particles.length) {
+            //ensure we have enough positions
+            while (this.particlePositions.length < this.particles.length) {
+                this.particlePositions.push({ x: 0, y: 0, alpha: 1, radius: 0, color: null, shape: null, angle: 0 });
+            }
+            //trim if we have too many
+            this.particlePositions.length = this.particles.length;
+        }
+        
+        //connection objects are reused between frames, the array is trimmed to the used ones at the end
+        let connectionIndex = 0;
+        
+        //collect particle positions, aging particles fade and / or shrink
+        const { x, y, alpha: particleAlpha, radius, color, shape } = this.store;
+        const fade = this.opts.lifetimeFade && this.mortalCount > 0;
+        const shrink = this.opts.lifetimeShrink && this.mortalCount > 0;
+        const rotate = this.opts.rotateWithVelocity;
+        //most particles share one shape, skip the cache lookup while it repeats
+        let shapeValue;
+        let preparedShape = null;
+        for (let i = 0; i < this.store.count; i++) {
+            const position = this.particlePositions[i];
+            const life = this.mortalCount > 0 ? this.getParticleLife(i) : 1;
+            position.x = x[i];
+            position.y = y[i];
+            position.alpha = fade ? particleAlpha[i] * life : particleAlpha[i];
+            position.radius = shrink ? radius[i] * life : radius[i];
+            position.color = color[i];
+            if (shape[i] !== shapeValue || preparedShape === null) {
+                shapeValue = shape[i];
+                preparedShape = this.getShape(shapeValue);
+            }
+            position.shape = preparedShape;
+            position.angle = rotate ? this.getParticleAngle(i) : 0;
+        }
+        
+        //collect connections (with LOD and limits)
+        const trackConnections = this.isTrackingConnections();
+        if (this.opts.enableConnections) {
+            //pre-allocate some connection objects to reduce allocations
+            //use a more adaptive approach based on particle count and connections per particle
+            const estimatedConnections = Math.min(
+                this.particles.length * this.opts.maxConnectionsPerParticle,
+                30000 //reasonable upper limit to prevent excessive memory usage
+            );
+            while (this.connectionLines.length < estimatedConnections) {
+                this.connectionLines.push(createConnectionLine());
+            }
+
+            //who connects to whom, to find the triangles afterwards
+            const neighborLists = this.opts.connectionStyle === 'triangles' ? this.connectionNeighbors : null;
+            if (neighborLists) {
+                while (neighborLists.length < this.store.count) neighborLists.push([]);
+                for (let i = 0; i < this.store.count; i++) neighborLists[i].length = 0;
+            }
+
+            this.selectConnections();
+            const { linkSlots: slots, linkPartners: partners, linkCounts: counts } = this;
+            for (let i = 0; i < this.store.count; i++) {
+                for (let s = 0; s < counts[i]; s++) {
+                    const j = partners[i * slots + s];
+                    //pairs that picked each other are drawn once, from the lower index
+                    if (j < i && this.hasPickedConnection(j, i)) continue;
+                    
+                    //shortest offset, across the seams in wrap mode
+                    const separation = this.getSeparation(x[i], y[i], x[j], y[j], this.separation);
+                    const dx = separation.dx;
+                    const dy = separation.dy;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    
+                    let alpha = this.calculateConnectionAlpha(distance);
+                    if (fade) {
+                        //links fade out with whichever end is closer to dying
+                        alpha *= Math.min(this.getParticleLife(i), this.getParticleLife(j));
+                    }
+                    //and are never more opaque than their most transparent particle
+                    alpha *= Math.min(particleAlpha[i], particleAlpha[j]);
+                    if (alpha <= 0.01) continue;
+                    
+                    //the far end is placed relative to this particle, so a link across a
+                    //wrap seam leaves the canvas here and is mirrored in from the other side
+                    const colors = this.getConnectionColors(i, j);
+                    this.setConnectionLine(connectionIndex++, x[i], y[i], x[i] - dx, y[i] - dy, alpha, colors[0], colors[1]);
+                    if (separation.wrapped) {
+                        this.setConnectionLine(connectionIndex++, x[j], y[j], x[j] + dx, y[j] + dy, alpha, colors[1], colors[0]);
+                    } else if (neighborLists) {
+                        //triangles across a wrap seam would span the canvas, they are left out
+                        neighborLists[i].push(j);
+                        neighborLists[j].push(i);
+                    }
+                    if (trackConnections) this.trackConnection(i, j);
+                }
+            }
+
+            this.connectionTriangles.length = neighborLists ? this.collectTriangles(neighborLists, fade) : 0;
+        } else {
+            this.connectionTriangles.length = 0;
+        }
+
+        //constraints always draw as full strength connections
+        if (this.opts.renderConstraints) {
+            for (const constraint of this.constraints) {
+                const a = constraint.a;
+                const b = constraint.b;
+                const separation = this.getSeparation(a.x, a.y, b.x, b.y, this.separation);
+                const [startColor, endColor] = this.getConnectionColors(a.index, b.index);
+                this.setConnectionLine(connectionIndex++, a.x, a.y, a.x - separation.dx, a.y - separation.dy, this.opts.opacityStep, startColor, endColor);
+                if (separation.wrapped) {
+                    this.setConnectionLine(connectionIndex++, b.x, b.y, b.x + separation.dx, b.y + separation.dy, this.opts.opacityStep, endColor, startColor);
+                }
+            }
+        }
+
+        //graph edges draw whether or not proximity connections are enabled
+        for (const edge of this.edges) {
+            const a = edge.a;
+            const b = edge.b;
+            const alpha = (edge.alpha !== null ? edge.alpha : this.opts.opacityStep) * Math.min(a.alpha, b.alpha);
+            //an edge's own color wins over the connection colors
+            const [startColor, endColor] = edge.color ?
+                [edge.color, edge.color] :
+                this.getConnectionColors(a.index, b.index);
+            const separation = this.getSeparation(a.x, a.y, b.x, b.y, this.separation);
+            this.setConnectionLine(connectionIndex++, a.x, a.y, a.x - separation.dx, a.y - separation.dy, alpha, startColor, endColor);
+            if (separation.wrapped) {
+                this.setConnectionLine(connectionIndex++, b.x, b.y, b.x + separation.dx, b.y + separation.dy, alpha, endColor, startColor);
+            }
+        }
+
+        //set the actual length based on last used index
+        this.connectionLines.length = connectionIndex;
+    }
+    
+    //reuse connection objects to reduce allocations
+    setConnectionLine(index, x1, y1, x2, y2, alpha, color, endColor = color) {
+        if (index >= this.connectionLines.length) {
+            this.connectionLines.push(createConnectionLine());
+        }
+        this.styleConnectionLine(this.connectionLines[index], x1, y1, x2, y2, alpha, color, endColor);
+    }
+
+    /**
+     * Fills in a connection, with its width and curve from the connection style
+     * @param {Object} line - connection object to fill in (see createConnectionLine)
+     * @param {string} color - color at the start
+     * @param {string} endColor - color at the end, only differs in the 'gradient' style
+     */
+    styleConnectionLine(line, x1, y1, x2, y2, alpha, color, endColor) {
+        line.x1 = x1;
+        line.y1 = y1;
+        line.x2 = x2;
+        line.y2 = y2;
+        line.alpha = alpha;
+        line.color = color;
+        line.endColor = endColor;
+
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const width = this.opts.connectionWidth;
+        if (Array.isArray(width)) {
+            //near width up close, far width at the maximum connection distance
+            const progress = Math.min(1, Math.sqrt(dx * dx + dy * dy) / this.opts.maxConnectionDistance);
+            line.width = width[0] + (width[1] - width[0]) * progress;
+        } else {
+            line.width = width;
+        }
+
+        line.curved = this.opts.connectionStyle === 'curve';
+        if (line.curved) {
+            //bow out to the same side whichever end the line starts from, so both
+            //directions of a link (and both halves across a wrap seam) draw the same curve
+            const flip = x1 > x2 || (x1 === x2 && y1 > y2) ? -1 : 1;
+            const bow = this.opts.connectionCurvature * flip;
+            line.cx = (x1 + x2) / 2 - dy * bow;
+            line.cy = (y1 + y2) / 2 + dx * bow;
+        }
+    }
+
+    /**
+     * Colors at both ends of the connection between two particles. a connectionColor
+     * function or color wins, otherwise the start particle's color (and the end particle's
+     * in the 'gradient' style)
+     * @returns {string[]} [startColor, endColor], a scratch array reused by the next call
+     */
+    getConnectionColors(index, other) {
+        const pair = this.connectionColorPair;
+        const custom = this.opts.connectionColor;
+        if (typeof custom === 'function') {
+            pair[0] = pair[1] = custom(this.particles[index], this.particles[other]);
+        } else if (custom) {
+            pair[0] = pair[1] = custom;
+        } else {
+            pair[0] = this.store.color[index];
+            pair[1] = this.opts.connectionStyle === 'gradient' ? this.store.color[other] : pair[0];
+        }
+        return pair;
+    }
+
+    /**
+     * Finds the triangles of mutually connected particles for the 'triangles' style.
+     * their alpha follows their longest side, like a connection of that length would
+     * @param {number[][]} neighborLists - who each particle connects to this frame
+     * @param {boolean} fade - whether aging particles fade out
+     * @returns {number} number of triangles written to connectionTriangles
+     */
+    collectTriangles(neighborLists, fade) {
+        const { x, y, alpha: particleAlpha } = this.store;
+        const triangles = this.connectionTriangles;
+        let count = 0;
+
+        for (let i = 0; i < this.store.count; i++) {
+            const neighbors = neighborLists[i];
+            for (let a = 0; a < neighbors.length; a++) {
+                const j = neighbors[a];
+                if (j < i) continue;
+                for (let b = 0; b < neighbors.length; b++) {
+                    //each triangle once, from its lowest index with j < k
+                    const k = neighbors[b];
+                    if (k <= j || !neighborLists[j].includes(k)) continue;
+
+                    const longest = Math.sqrt(Math.max(
+                        (x[i] - x[j]) ** 2 + (y[i] - y[j]) ** 2,
+                        (x[j] - x[k]) ** 2 + (y[j] - y[k]) ** 2,
+                        (x[k] - x[i]) ** 2 + (y[k] - y[i]) ** 2
+                    ));
+                    let alpha = this.calculateConnectionAlpha(longest) * this.opts.triangleOpacity *
+                        Math.min(particleAlpha[i], particleAlpha[j], particleAlpha[k]);
+                    if (fade) {
+                        alpha *= Math.min(this.getParticleLife(i), this.getParticleLife(j), this.getParticleLife(k));
+                    }
+                    if (alpha <= 0.005) continue;
+
+                    if (count >= triangles.length) {
+                        triangles.push({ x1: 0, y1: 0, x2: 0, y2: 0, x3: 0, y3: 0, alpha: 0, color: null });
+                    }
+                    const triangle = triangles[count++];
+                    triangle.x1 = x[i];
+                    triangle.y1 = y[i];
+                    triangle.x2 = x[j];
+                    triangle.y2 = y[j];
+                    triangle.x3 = x[k];
+                    triangle.y3 = y[k];
+                    triangle.alpha = alpha;
+                    triangle.color = this.getConnectionColors(i, j)[0];
+                }
+            }
+        }
+        return count;
+    }
+    
+    /**
+     * Draws a frame, between the beforeRender and afterRender events. handlers get the
+     * context to draw overlays with, the 2d one is scaled to CSS pixels
+     */
+    render() {
+        if (this.rendererType === 'none') return;
+
+        const renderEvent = this.hasListeners('beforeRender') || this.hasListeners('afterRender') ?
+            { ctx: this.ctx, gl: this.webgl ? this.webgl.gl : null, width: this.width, height: this.height } :
+            null;
+        this.emit('beforeRender', renderEvent);
+
+        this.drawFrame();
+
+        this.emit('afterRender', renderEvent);
+        if (this.isTrackingConnections()) {
+            this.emitConnectionChanges();
+        }
+    }
+
+    //batch render all particles and connections
+    drawFrame() {
+        //the webgl backend always batches and draws from the collected render data
+        if (this.webgl) {
+            this.collectRenderData();
+            this.webgl.render(this);
+            return;
+        }
+
+        //clear canvas (unless options are enabled)
+        const background = this.getParsedColor(this.opts.backgroundColor);
+        if (!this.opts.enablePersistence && !this.opts.enableTrails) {
+            //a see-through background would only tint the last frame
+            if (background.a < 1) this.ctx.clearRect(0, 0, this.width, this.height);
+            this.ctx.fillStyle = background.css;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+        } else if (this.opts.enableTrails && !this.opts.enablePersistence) {
+            //for trails, use a semi-transparent overlay to create fade effect (0x20 of the background's alpha)
+            this.ctx.fillStyle = `rgba(${background.r}, ${background.g}, ${background.b}, ${background.a * 0x20 / 255})`;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+        }
+        
+        //collect all render data first
+        if (this.opts.enableBatchRendering) {
+            this.collectRenderData();
+            
+            //render connections
+            this.batchRenderConnections();
+            this.batchRenderParticles();
+        } else {
+            //fallback to individual rendering, drawParticle sets each particle's style
+            this.ctx.lineWidth = 1;
+            this.ctx.imageSmoothingEnabled = true;
+            this.ctx.imageSmoothingQuality = 'high';
+            if (this.opts.enableConnections) {
+                this.selectConnections();
+            }
+            
+            for (let i = 0; i < this.store.count; i++) {
+                this.ctx.beginPath();
+                this.drawParticle(i);
+                this.ctx.closePath();
+            }
+        }
+    }
+    
+    //batch render all particles at once
+    batchRenderParticles() {
+        this.ctx.lineWidth = 1;
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.imageSmoothingQuality = 'high';
+
+        //group particles by shape and style (color + alpha step), one path per group.
+        //a single color and shape without fading ends up as a single path, like before
+        const shapeGroups = new Map();
+        for (const pos of this.particlePositions) {
+            const alphaKey = Math.ceil(pos.alpha * 20);
+            if (alphaKey === 0) continue;
+
+            let styleGroups = shapeGroups.get(pos.shape);
+            if (!styleGroups) {
+                styleGroups = new Map();
+                shapeGroups.set(pos.shape, styleGroups);
+            }
+            let colorGroups = styleGroups.get(pos.color);
+            if (!colorGroups) {
+                colorGroups = new Map();
+                styleGroups.set(pos.color, colorGroups);
+            }
+            let positions = colorGroups.get(alphaKey);
+            if (!positions) {
+                positions = [];
+                colorGroups.set(alphaKey, positions);
+            }
+            positions.push(pos);
+        }
+
+        for (const [shape, styleGroups] of shapeGroups) {
+            for (const [color, colorGroups] of styleGroups) {
+                const { css } = this.getParsedColor(color);
+                this.ctx.strokeStyle = css;
+                this.ctx.fillStyle = css;
+                for (const [alphaKey, positions] of colorGroups) {
+                    this.ctx.globalAlpha = alphaKey / 20;
+                    this.drawShapes(shape, positions);
+                }
+            }
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draws a batch of particles that share a shape, with the current fill / stroke style.
+     * circles and polygons go into a single path, paths and sprites are placed one by one
+     * @param {Object} shape - prepared shape from getShape
+     * @param {Object[]} positions - { x, y, radius, angle } of each particle
+     */
+    drawShapes(shape, positions) {
+        const ctx = this.ctx;
+        const fill = this.opts.particleFill;
+
+        if (shape.kind === 'sprite') {
+            const atlas = this.getSpriteAtlas();
+            const cell = atlas.get(shape);
+            //no canvas to build the atlas on, fall back to circles
+            if (!cell) {
+                this.drawShapes(CIRCLE_SHAPE, positions);
+                return;
+            }
+            for (const pos of positions) {
+                const size = pos.radius * 2;
+                if (pos.angle === 0) {
+                    ctx.drawImage(atlas.canvas, cell.x, cell.y, cell.size, cell.size, pos.x - pos.radius, pos.y - pos.radius, size, size);
+                } else {
+                    ctx.save();
+                    ctx.translate(pos.x, pos.y);
+                    ctx.rotate(pos.angle);
+                    ctx.drawImage(atlas.canvas, cell.x, cell.y, cell.size, cell.size, -pos.radius, -pos.radius, size, size);
+                    ctx.restore();
+                }
+            }
+            return;
+        }
+
+        if (shape.kind === 'path') {
+            for (const pos of positions) {
+                const scale = pos.radius * shape.scale;
+                if (scale <= 0) continue;
+                ctx.save();
+                ctx.translate(pos.x, pos.y);
+                ctx.rotate(pos.angle);
+                ctx.scale(scale, scale);
+                ctx.translate(-shape.centerX, -shape.centerY);
+                //keep outlines one pixel wide whatever the scale
+                ctx.lineWidth = 1 / scale;
+                if (fill) ctx.fill(shape.path);
+                else ctx.stroke(shape.path);
+                ctx.restore();
+            }
+            return;
+        }
+
+        ctx.beginPath();
+        if (shape.kind === 'polygon') {
+            const points = shape.points;
+            for (const pos of positions) {
+                const cos = Math.cos(pos.angle) * pos.radius;
+                const sin = Math.sin(pos.angle) * pos.radius;
+                for (let p = 0; p < points.length; p += 2) {
+                    const pointX = pos.x + cos * points[p] - sin * points[p + 1];
+                    const pointY = pos.y + sin * points[p] + cos * points[p + 1];
+                    if (p === 0) ctx.moveTo(pointX, pointY);
+                    else ctx.lineTo(pointX, pointY);
+                }
+                ctx.closePath();
+            }
+        } else {
+            for (const pos of positions) {
+                ctx.moveTo(pos.x + pos.radius, pos.y);
+                ctx.arc(pos.x, pos.y, pos.radius, 0, 2 * Math.PI);
+            }
+        }
+        if (fill) ctx.fill();
+        else ctx.stroke();
+    }
+    
+    
+    //batch render all connections
+    batchRenderConnections() {
+        if (this.connectionTriangles.length > 0) {
+            this.batchRenderTriangles();
+        }
+
+        //early exit if no connections to render
+        if (this.connectionLines.length === 0) return;
+        
+        //group connections by color, then by alpha and width for batch rendering
+        const colorGroups = new Map();
+        const addToGroup = (color, line) => {
+            let styleGroups = colorGroups.get(color);
+            if (!styleGroups) {
+                styleGroups = new Map();
+                colorGroups.set(color, styleGroups);
+            }
+
+            //alpha in hundredths and width in quarter pixels (up to 16px) packed into one key
+            const styleKey = Math.round(line.alpha * 100) * 64 + Math.min(63, Math.round(line.width * 4));
+            let lines = styleGroups.get(styleKey);
+            if (!lines) {
+                lines = [];
+                styleGroups.set(styleKey, lines);
+            }
+            lines.push(line);
+        };
+
+        //gradients can't be batched, gradient connections are split into pieces of blended color instead
+        let segmentCount = 0;
+        for (const line of this.connectionLines) {
+            if (line.alpha <= 0 || line.width <= 0) continue;
+
+            if (line.endColor === line.color || line.curved) {
+                addToGroup(line.color, line);
+                continue;
+            }
+            for (let s = 0; s < GRADIENT_SEGMENTS; s++) {
+                if (segmentCount >= this.gradientSegments.length) {
+                    this.gradientSegments.push(createConnectionLine());
+                }
+                const segment = this.gradientSegments[segmentCount++];
+                const from = s / GRADIENT_SEGMENTS;
+                const to = (s + 1) / GRADIENT_SEGMENTS;
+                segment.x1 = line.x1 + (line.x2 - line.x1) * from;
+                segment.y1 = line.y1 + (line.y2 - line.y1) * from;
+                segment.x2 = line.x1 + (line.x2 - line.x1) * to;
+                segment.y2 = line.y1 + (line.y2 - line.y1) * to;
+                segment.alpha = line.alpha;
+                segment.width = line.width;
+                addToGroup(this.getMixedColor(line.color, line.endColor, (s + 0.5) / GRADIENT_SEGMENTS), segment);
+            }
+        }
+
+        //render each color / alpha / width group in one batch
+        for (const [colorString, styleGroups] of colorGroups) {
+            const color = this.getParsedColor(colorString || this.opts.particleColor);
+
+            for (const [styleKey, lines] of styleGroups) {
+                const alpha = Math.floor(styleKey / 64) / 100;
+                this.ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha * color.a})`;
+                this.ctx.lineWidth = (styleKey % 64) / 4;
+                this.ctx.beginPath();
+                
+                for (const line of lines) {
+                    this.ctx.moveTo(line.x1, line.y1);
+                    if (line.curved) {
+                        this.ctx.quadraticCurveTo(line.cx, line.cy, line.x2, line.y2);
+                    } else {
+                        this.ctx.lineTo(line.x2, line.y2);
+                    }
+                }
+                
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.lineWidth = 1;
+    }
+
+    //fills the 'triangles' style triangles, one path per color and alpha step
+    batchRenderTriangles() {
+        const colorGroups = new Map();
+        for (const triangle of this.connectionTriangles) {
+            let alphaGroups = colorGroups.get(triangle.color);
+            if (!alphaGroups) {
+                alphaGroups = new Map();
+                colorGroups.set(triangle.color, alphaGroups);
+            }
+            const alphaKey = Math.max(1, Math.round(triangle.alpha * 100));
+            let triangles = alphaGroups.get(alphaKey);
+            if (!triangles) {
+                triangles = [];
+                alphaGroups.set(alphaKey, triangles);
+            }
+            triangles.push(triangle);
+        }
+
+        for (const [colorString, alphaGroups] of colorGroups) {
+            const color = this.getParsedColor(colorString || this.opts.particleColor);
+            for (const [alphaKey, triangles] of alphaGroups) {
+                this.ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${alphaKey / 100 * color.a})`;
+                this.ctx.beginPath();
+                for (const triangle of triangles) {
+                    this.ctx.moveTo(triangle.x1, triangle.y1);
+                    this.ctx.lineTo(triangle.x2, triangle.y2);
+                    this.ctx.lineTo(triangle.x3, triangle.y3);
+                    this.ctx.closePath();
+                }
+                this.ctx.fill();
+            }
+        }
+    }
+
+    //blend of two colors as an rgba() string, cached since the same few blends repeat every frame
+    getMixedColor(colorA, colorB, t) {
+        const key = colorA + '|' + colorB + '|' + t;
+        let mixed = this.colorCache.get(key);
+        if (!mixed) {
+            const a = this.getParsedColor(colorA);
+            const b = this.getParsedColor(colorB);
+            mixed = `rgba(${Math.round(a.r + (b.r - a.r) * t)}, ${Math.round(a.g + (b.g - a.g) * t)}, ${Math.round(a.b + (b.b - a.b) * t)}, ${a.a + (b.a - a.a) * t})`;
+            this.colorCache.set(key, mixed);
+        }
+        return mixed;
+    }
+
+    /**
+     * Strokes a single connection, for the unbatched renderer. gradients are real
+     * canvas gradients here since nothing is batched anyway
+     * @param {Object} line - styled connection (see styleConnectionLine)
+     */
+    strokeConnection(line) {
+        const ctx = this.ctx;
+        const start = this.getParsedColor(line.color || this.opts.particleColor);
+        if (line.endColor !== line.color && !line.curved) {
+            const end = this.getParsedColor(line.endColor || this.opts.particleColor);
+            const gradient = ctx.createLinearGradient(line.x1, line.y1, line.x2, line.y2);
+            gradient.addColorStop(0, `rgba(${start.r}, ${start.g}, ${start.b}, ${line.alpha * start.a})`);
+            gradient.addColorStop(1, `rgba(${end.r}, ${end.g}, ${end.b}, ${line.alpha * end.a})`);
+            ctx.strokeStyle = gradient;
+        } else {
+            ctx.strokeStyle = `rgba(${start.r}, ${start.g}, ${start.b}, ${line.alpha * start.a})`;
+        }
+        ctx.lineWidth = line.width;
+
+        ctx.beginPath();
+        ctx.moveTo(line.x1, line.y1);
+        if (line.curved) {
+            ctx.quadraticCurveTo(line.cx, line.cy, line.x2, line.y2);
+        } else {
+            ctx.lineTo(line.x2, line.y2);
+        }
+        ctx.stroke();
+    }
+    
+    drawParticle(index) {
+        const store = this.store;
+
+        this.ctx.save();
+
+        //per-particle style, aging particles fade and / or shrink
+        const life = this.getParticleLife(index);
+        const { css } = this.getParsedColor(store.color[index]);
+        this.ctx.strokeStyle = css;
+        this.ctx.fillStyle = css;
+        this.ctx.globalAlpha = this.opts.lifetimeFade ? store.alpha[index] * life : store.alpha[index];
+        
+        //draw the particle
+        const position = this.particleScratch[0];
+        position.x = store.x[index];
+        position.y = store.y[index];
+        position.radius = this.opts.lifetimeShrink ? store.radius[index] * life : store.radius[index];
+        position.angle = this.opts.rotateWithVelocity ? this.getParticleAngle(index) : 0;
+        this.drawShapes(this.getShape(store.shape[index]), this.particleScratch);
+
+        //draw connections if enabled
+        if (this.opts.enableConnections) {
+            this.drawConnections(index);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    //draws the connections picked by a particle (see selectConnections), for the unbatched renderer
+    drawConnections(index) {
+        const { x, y } = this.store;
+        const trackConnections = this.isTrackingConnections();
+        const base = index * this.linkSlots;
+        
+        for (let s = 0; s < this.linkCounts[index]; s++) {
+            const other = this.linkPartners[base + s];
+            //pairs that picked each other are drawn once, from the lower index
+            if (other < index && this.hasPickedConnection(other, index)) continue;
+            
+            const separation = this.getSeparation(x[index], y[index], x[other], y[other], this.separation);
+            const dx = separation.dx;
+            const dy = separation.dy;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            //calculate alpha
+            const alpha = this.calculateConnectionAlpha(distance);
+            if (alpha <= 0.01) continue;
+            
+            //the particle's own alpha is already in globalAlpha. triangles need the
+            //batched renderer, here every style draws as its lines
+            const colors = this.getConnectionColors(index, other);
+            const line = this.connectionScratch;
+            
+            //draw towards the nearest image of the other particle, plus the mirrored half across a wrap seam
+            this.styleConnectionLine(line, x[index], y[index], x[index] - dx, y[index] - dy, alpha, colors[0], colors[1]);
+            this.strokeConnection(line);
+            if (separation.wrapped) {
+                this.styleConnectionLine(line, x[other], y[other], x[other] + dx, y[other] + dy, alpha, colors[1], colors[0]);
+                this.strokeConnection(line);
+            }
+            if (trackConnections) this.trackConnection(index, other);
+        }
+    }
+
+    /**
+      * main loop for continuously scheduling the next frame using requestAnimationFrame.
+      * uses fixed timestep for physics simulation with accumulator pattern.
+      *
+      * @param {number} currentTime - Current timestamp from requestAnimationFrame
+      */
+    animate(currentTime) {
+        if (!this.running) return;
+
+        //frame rate cap, frames only come at the display's refresh so the cap keeps to a grid of
+        //intervals instead of waiting a full interval after every late frame
+        if (this.opts.maxFPS > 0) {
+            const interval = 1000 / this.opts.maxFPS;
+            const elapsed = currentTime - this.lastFrameTime;
+            if (elapsed < interval - 1) {
+                this.animationId = this.env.requestFrame(this.animate.bind(this));
+                return;
+            }
+            this.lastFrameTime = elapsed < interval * 2 ? this.lastFrameTime + interval : currentTime;
+        }
+        
+        const deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+        
+        this.updatePerformanceTracking(currentTime);
+        
+        //always use fixed timestep for physics simulation, adjusted by speed.
+        //reduced motion in 'slow' mode plays back at a fraction of that
+        const motionScale = this.motionReduced && this.opts.reducedMotion === 'slow' ? this.opts.reducedMotionSpeed : 1;
+        this.accumulator += deltaTime * motionScale;
+
+        const effectiveTimestep = this.getFixedTimestep();
+
+        while (this.accumulator >= effectiveTimestep) {
+            this.update(effectiveTimestep);
+            this.accumulator -= effectiveTimestep;
+        }
+        
+        this.updateHover();
+        this.render();
+        this.animationId = this.env.requestFrame(this.animate.bind(this));
+    }
+    //#endregion
+
+    //#region Frame export
+
+    /**
+     * Encodes what is currently on the canvas, rendering first when the animation isn't running
+     * @param {string} type - image mime type
+     * @param {number} quality - 0 to 1, for lossy types
+     * @returns {Promise<Blob>} the encoded frame
+     */
+    captureFrame(type = 'image/png', quality) {
+        if (this.rendererType === 'none') {
+            return Promise.reject(new Error('Capturing frames needs a renderer'));
+        }
+        if (!this.running) {
+            this.render();
+        }
+        return canvasToBlob(this.canvas, type, quality);
+    }
+
+    //raw RGBA pixels of the canvas, in device pixels with the first row at the top
+    readPixels() {
+        if (this.webgl) {
+            return this.webgl.readPixels();
+        }
+        return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Records the animation. The simulation is driven with the fixed timestep instead of
+     * wall-clock time, so every frame is rendered and the output never drops frames
+     * @param {Object} options - recording options
+     * @param {number} options.duration - length in milliseconds
+     * @param {number} options.fps - frames per second of the output
+     * @param {string} options.format - 'webm' (MediaRecorder), 'gif' (built-in encoder) or 'png-sequence'
+     * @param {number} options.bitrate - webm video bits per second, browser default when omitted
+     * @param {Function} options.onProgress - called with (frame, frameCount) after each frame
+     * @returns {Promise<Blob|Blob[]>} the video / gif, or an array of PNG blobs for 'png-sequence'
+     */
+    async record(options = {}) {
+        const { duration = 5000, fps = 30, format = 'webm', bitrate, onProgress = null } = options;
+        if (!RECORDING_FORMATS.includes(format)) {
+            throw new Error(`Unknown recording format: ${format}`);
+        }
+        if (this.rendererType === 'none') {
+            throw new Error('Recording needs a renderer');
+        }
+        if (this.recording) {
+            throw new Error('A recording is already in progress');
+        }
+
+        const frameCount = Math.max(1, Math.round(duration / 1000 * fps));
+        const frameTime = 1000 / fps;
+
+        //the animation loop advances on wall-clock time, the recording takes over from it
+        const wasRunning = this.running;
+        const wasAutoPaused = this.autoPaused;
+        this.stop();
+        this.recording = true;
+
+        let accumulator = 0;
+        const renderFrame = (frame) => {
+            //the first frame shows the current state, every following one is a frame time later
+            if (frame > 0) {
+                accumulator += frameTime;
+                const timestep = this.getFixedTimestep();
+                while (accumulator >= timestep) {
+                    this.update(timestep);
+                    accumulator -= timestep;
+                }
+            }
+            this.render();
+        };
+
+        try {
+            if (format === 'webm') {
+                return await this.recordWebM(frameCount, fps, bitrate, renderFrame, onProgress);
+            }
+
+            const frames = [];
+            const encoder = format === 'gif' ? new GifEncoder(this.canvas.width, this.canvas.height) : null;
+            for (let frame = 0; frame < frameCount; frame++) {
+                renderFrame(frame);
+                if (encoder) {
+                    //gif delays are in 1/100 s, spread the rounding so the total length is right
+                    const delay = Math.round((frame + 1) * 100 / fps) - Math.round(frame * 100 / fps);
+                    encoder.addFrame(this.readPixels().data, delay);
+                    //encoding is heavy, give the page a chance to breathe between frames
+                    await wait(0);
+                } else {
+                    frames.push(await canvasToBlob(this.canvas, 'image/png'));
+                }
+                if (onProgress) onProgress(frame + 1, frameCount);
+            }
+            return encoder ? encoder.finish() : frames;
+        } finally {
+            this.recording = false;
+            //start() runs again or pauses again, whichever the page allows by now
+            if (wasRunning || wasAutoPaused) this.start();
+        }
+    }
+
+    /**
+     * WebM recording through canvas.captureStream and MediaRecorder. Frames are pushed into the
+     * stream one by one and paced in real time, since the recorder timestamps them as they arrive
+     */
+    async recordWebM(frameCount, fps, bitrate, renderFrame, onProgress) {
+        if (typeof this.canvas.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+            throw new Error('WebM recording needs canvas.captureStream and MediaRecorder');
+        }
+
+        //with a frame rate of 0 the stream only captures requested frames, exactly one per render
+        let stream = this.canvas.captureStream(0);
+        let track = stream.getVideoTracks()[0];
+        if (typeof track.requestFrame !== 'function') {
+            //no manual frames in this browser, capture at the recording rate instead
+            track.stop();
+            stream = this.canvas.captureStream(fps);
+            track = null;
+        }
+
+        const mimeType = WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        recorder.start();
+        for (let frame = 0; frame < frameCount; frame++) {
+            renderFrame(frame);
+            if (track) track.requestFrame();
+            if (onProgress) onProgress(frame + 1, frameCount);
+            await wait(1000 / fps);
+        }
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(streamTrack => streamTrack.stop());
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+    //#endregion
+
+    //#region Snapshots
+
+    /**
+     * Captures the full simulation state: options, every particle, force fields, constraints,
+     * emitters and the random generator. Generator functions and custom force fields can't be
+     * captured, particles keep the colors / sizes they resolved to
+     * @param {string} format - 'json' for a plain object that survives JSON.stringify,
+     *   'binary' for a compact ArrayBuffer
+     * @returns {Object|ArrayBuffer} snapshot for setState
+     */
+    getState(format = 'json') {
+        const store = this.store;
+        const count = store.count;
+
+        //colors are stored once and referenced by index, palettes only use a handful
+        const colors = [];
+        const colorIndices = new Map();
+        const color = new Array(count);
+        const attrs = {};
+        const emitter = {};
+        const data = {};
+        for (let i = 0; i < count; i++) {
+            if (!colorIndices.has(store.color[i])) {
+                colorIndices.set(store.color[i], colors.length);
+                colors.push(store.color[i]);
+            }
+            color[i] = colorIndices.get(store.color[i]);
+            if (store.attrs[i]) attrs[i] = store.attrs[i];
+            if (store.emitter[i]) emitter[i] = store.emitter[i].id;
+            if (store.data[i] !== null) data[i] = store.data[i];
+        }
+
+        const state = {
+            version: STATE_VERSION,
+            width: this.width,
+            height: this.height,
+            seed: this.seed,
+            randomState: this.random.getState(),
+            simulationTime: this.simulationTime,
+            options: encodeInfinity(Object.fromEntries(
+                Object.entries(this.opts).filter(([key, value]) =>
+                    typeof value !== 'function' && key !== 'environment' &&
+                    (key !== 'particleShape' || isSerializableShape(value))
+                )
+            )),
+            particles: { count, colors, color, attrs, emitter, data },
+            forces: this.forces
+                .filter(field => field.type !== 'custom')
+                .map(field => encodeInfinity(field)),
+            constraints: this.constraints.map(constraint => ({
+                id: constraint.id,
+                a: constraint.a.index,
+                b: constraint.b.index,
+                restLength: constraint.restLength,
+                stiffness: constraint.stiffness
+            })),
+            edges: this.edges.map(edge => ({ ...edge, a: edge.a.index, b: edge.b.index })),
+            emitters: this.emitters.map(({ alive, ...settings }) => encodeInfinity(settings))
+        };
+
+        if (format === 'binary') {
+            return encodeBinaryState(state, store);
+        }
+
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            state.particles[field] = Array.from(store[field].subarray(0, count), encodeNumber);
+        }
+        state.particles.pinned = Array.from(store.pinned.subarray(0, count));
+        return state;
+    }
+
+    /**
+     * Replaces the simulation with a snapshot from getState, positions and velocities
+     * continue exactly where they were captured. The renderer and environment stay as they are
+     * @param {Object|ArrayBuffer|string} snapshot - state object, its JSON string or the binary variant
+     */
+    setState(snapshot) {
+        const state = typeof snapshot === 'string' ? JSON.parse(snapshot) :
+            snapshot instanceof ArrayBuffer || ArrayBuffer.isView(snapshot) ? decodeBinaryState(snapshot) :
+            snapshot;
+        if (!state || state.version !== STATE_VERSION) {
+            throw new Error('Unsupported particle system snapshot');
+        }
+
+        //the snapshot's options win over transitions and timelines that are still running
+        this.cancelOptionTransitions();
+        this.timelines = [];
+
+        //pointers let go first, the handles they hold go back to the pool
+        for (const pointer of this.pointers.values()) {
+            this.releaseDrag(pointer);
+        }
+
+        //drop the current particles, their constraints, edges and emitters go with them
+        this.constraints = [];
+        this.edges = [];
+        this.emitters = [];
+        this.mortalCount = 0;
+        this.nodeCount = 0;
+        this.formation = null;
+        //links are remembered by particle id, the restored particles start without any
+        this.linkMemory = createLinkMemory(0, 0);
+        if (this.opts.enableObjectPooling) {
+            //one by one, spreading a large count into push() overflows the call stack
+            for (const particle of this.particles) {
+                this.particlePool.push(particle);
+            }
+        }
+        this.store.clear();
+
+        //the options come in once the old particles are gone, nothing they update reaches those
+        const { renderer, ...options } = decodeInfinity(state.options);
+        //the snapshot brings its own particles, the density only applies from the next resize on
+        const { particleDensity, ...rest } = validateOptions(options, this.opts);
+        this.applyOptions(rest);
+        if (particleDensity !== undefined) this.opts = { ...this.opts, particleDensity };
+
+        //same noise field, and the random sequence continues where it was captured
+        this.reseed(state.seed);
+        this.random.setState(state.randomState);
+        this.simulationTime = state.simulationTime;
+
+        const emittersById = new Map();
+        for (const settings of state.emitters) {
+            const emitter = { ...decodeInfinity(settings), alive: 0 };
+            emittersById.set(emitter.id, emitter);
+            this.emitters.push(emitter);
+        }
+
+        const particles = state.particles;
+        const store = this.store;
+        for (let i = 0; i < particles.count; i++) {
+            const particle = this.opts.enableObjectPooling && this.particlePool.length > 0 ?
+                this.particlePool.pop() :
+                new ParticleHandle();
+            store.add(particle);
+
+            for (const field of PARTICLE_FLOAT_FIELDS) {
+                store[field][i] = decodeNumber(particles[field][i]);
+            }
+            //particles held by a pointer (2) aren't held anymore after a restore
+            store.pinned[i] = particles.pinned[i] === 1 ? 1 : 0;
+            store.color[i] = particles.colors[particles.color[i]];
+            store.attrs[i] = particles.attrs[i] || null;
+            //shapes aren't stored, they resolve again from the attributes / options like on spawn
+            const attrs = store.attrs[i] || {};
+            store.shape[i] = this.resolveAttributeValue(
+                attrs.shape !== undefined ? attrs.shape : this.opts.particleShape, particle, i
+            );
+            //node data, snapshots from before graph mode have none
+            if (particles.data && particles.data[i] !== undefined) {
+                store.data[i] = particles.data[i];
+                this.nodeCount++;
+            }
+
+            const emitter = emittersById.get(particles.emitter[i]);
+            if (emitter) {
+                store.emitter[i] = emitter;
+                emitter.alive++;
+            }
+            if (store.lifetime[i] !== Infinity) this.mortalCount++;
+        }
+
+        //a snapshot from another canvas size is stretched to this one, velocities are kept
+        if (state.width > 0 && state.height > 0 && this.width > 0 && this.height > 0) {
+            const scaleX = this.width / state.width;
+            const scaleY = this.height / state.height;
+            for (let i = 0; i < store.count; i++) {
+                const newX = store.x[i] * scaleX;
+                const newY = store.y[i] * scaleY;
+                store.pastX[i] += newX - store.x[i];
+                store.pastY[i] += newY - store.y[i];
+                store.x[i] = newX;
+                store.y[i] = newY;
+            }
+        }
+
+        this.forces = state.forces.map(field => this.normalizeForceField(decodeInfinity(field)));
+        for (const constraint of state.constraints) {
+            this.constraints.push({
+                ...constraint,
+                a: this.particles[constraint.a],
+                b: this.particles[constraint.b]
+            });
+        }
+        for (const edge of state.edges || []) {
+            this.edges.push({ ...edge, a: this.particles[edge.a], b: this.particles[edge.b] });
+        }
+
+        //keep new ids clear of the restored ones
+        const nextId = (items, current) => Math.max(current, ...items.map(item => item.id + 1));
+        this.nextForceId = nextId(this.forces, this.nextForceId);
+        this.nextConstraintId = nextId(this.constraints, this.nextConstraintId);
+        this.nextEdgeId = nextId(this.edges, this.nextEdgeId);
+        this.nextEmitterId = nextId(this.emitters, this.nextEmitterId);
+
+        this.accumulator = 0;
+        this.gridDirty = true;
+    }
+    //#endregion
+
+    //#region Option transitions
+
+    /**
+     * Changes options gradually instead of all at once. numbers, colors, palettes and
+     * vectors like gravity are interpolated, anything else (booleans, functions, styles)
+     * switches once the transition is done. a later transition or updateOptions() of the
+     * same option takes over from this one
+     * @param {Object} newOptions - options to move to
+     * @param {Object} settings - { duration, easing }, see OPTION_TRANSITION_DEFAULTS
+     * @returns {Promise} resolves once every option arrived or was taken over
+     */
+    animateOptions(newOptions, settings = {}) {
+        newOptions = validateOptions(newOptions, this.opts);
+        const { duration, easing } = { ...OPTION_TRANSITION_DEFAULTS, ...settings };
+        const ease = resolveEasing(easing);
+        //nothing moves under static reduced motion, so nothing is worth waiting for either
+        const instant = duration <= 0 || (this.motionReduced && this.opts.reducedMotion === 'static');
+        if (instant) {
+            this.cancelOptionTransitions(Object.keys(newOptions));
+            this.applyOptions(newOptions);
+            return Promise.resolve();
+        }
+
+        const keys = Object.keys(newOptions);
+        const parse = color => this.getParsedColor(color);
+        this.cancelOptionTransitions(keys);
+        return new Promise(resolve => {
+            const group = { remaining: keys.length, resolve };
+            for (const key of keys) {
+                this.optionTransitions.set(key, {
+                    from: this.opts[key],
+                    to: newOptions[key],
+                    interpolate: createOptionInterpolator(key, this.opts[key], newOptions[key], parse),
+                    startTime: this.simulationTime,
+                    duration,
+                    easing: ease,
+                    group
+                });
+            }
+            if (keys.length === 0) resolve();
+        });
+    }
+
+    /**
+     * Stops transitions where they are
+     * @param {string[]} keys - option names, all transitions when left out
+     */
+    cancelOptionTransitions(keys = [...this.optionTransitions.keys()]) {
+        for (const key of keys) {
+            const transition = this.optionTransitions.get(key);
+            if (!transition) continue;
+            this.optionTransitions.delete(key);
+            if (--transition.group.remaining === 0) transition.group.resolve();
+        }
+    }
+
+    /**
+     * Adds a sequence of option keyframes, like calm -> storm -> calm. between two keyframes
+     * options are interpolated like in animateOptions, with the easing of the later keyframe.
+     * options a keyframe leaves out keep their value from the keyframe before, or the
+     * current value for the first one
+     * @param {Object[]} keyframes - [{ at, options, easing }], at in ms from the start
+     * @param {Object} settings - { loop, playing, time }. a paused timeline only moves with
+     *   updateTimeline(id, { time }), e.g. from the scroll position
+     * @returns {number} id of the timeline, used by updateTimeline / removeTimeline
+     */
+    addTimeline(keyframes, settings = {}) {
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error('A timeline needs at least one keyframe');
+        }
+        const sorted = [...keyframes]
+            .map(keyframe => ({ ...keyframe, options: validateOptions(keyframe.options || {}, this.opts) }))
+            .sort((a, b) => a.at - b.at);
+
+        //fill in every keyframe's full set of animated options
+        const keys = new Set(sorted.flatMap(keyframe => Object.keys(keyframe.options)));
+        let values = {};
+        for (const key of keys) values[key] = this.opts[key];
+        const frames = sorted.map(keyframe => {
+            values = { ...values, ...keyframe.options };
+            return { at: keyframe.at, values, easing: resolveEasing(keyframe.easing || OPTION_TRANSITION_DEFAULTS.easing) };
+        });
+        //each segment interpolates from the keyframe before into its own
+        const parse = color => this.getParsedColor(color);
+        //only options that differ between two keyframes and can be interpolated change in between,
+        //the others are set once as a segment is entered (see applyTimeline)
+        for (let k = 1; k < frames.length; k++) {
+            frames[k].interpolators = [];
+            for (const key of keys) {
+                const from = frames[k - 1].values[key];
+                const to = frames[k].values[key];
+                const interpolate = isSameOptionValue(from, to) ? null : createOptionInterpolator(key, from, to, parse);
+                if (interpolate) frames[k].interpolators.push([key, interpolate]);
+            }
+        }
+
+        const timeline = {
+            id: this.nextTimelineId++,
+            frames,
+            duration: frames[frames.length - 1].at,
+            time: settings.time || 0,
+            playing: settings.playing !== false,
+            loop: !!settings.loop,
+            segment: null //keyframes applyTimeline last set the held options of
+        };
+        this.timelines.push(timeline);
+        this.applyTimeline(timeline);
+        return timeline.id;
+    }
+
+    /**
+     * @param {number} id - id returned by addTimeline
+     * @param {Object} changes - { time, playing, loop }
+     * @returns {boolean} true if the timeline was found
+     */
+    updateTimeline(id, changes) {
+        const timeline = this.timelines.find(item => item.id === id);
+        if (!timeline) return false;
+        if (changes.playing !== undefined) timeline.playing = changes.playing;
+        if (changes.loop !== undefined) timeline.loop = changes.loop;
+        if (changes.time !== undefined) {
+            timeline.time = changes.time;
+            //a seek sets the held options again
+            timeline.segment = null;
+            this.applyTimeline(timeline);
+        }
+        return true;
+    }
+
+    /**
+     * Removes a timeline, the options keep the values it last set
+     * @param {number} id - id returned by addTimeline
+     * @returns {boolean} true if the timeline was found and removed
+     */
+    removeTimeline(id) {
+        const index = this.timelines.findIndex(item => item.id === id);
+        if (index === -1) return false;
+        this.timelines.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Moves transitions and playing timelines along by a simulation step
+     * @param {number} deltaTime - step size in milliseconds
+     */
+    updateOptionTransitions(deltaTime) {
+        if (this.optionTransitions.size > 0) {
+            const values = {};
+            const finished = [];
+            for (const [key, transition] of this.optionTransitions) {
+                const progress = Math.min(1, (this.simulationTime - transition.startTime) / transition.duration);
+                if (progress >= 1) {
+                    values[key] = transition.to;
+                    finished.push(key);
+                } else if (transition.interpolate) {
+                    values[key] = transition.interpolate(transition.easing(progress));
+                }
+                //values that can't be interpolated (seed, booleans, ...) only switch at the end
+            }
+            this.applyOptions(values);
+            this.cancelOptionTransitions(finished);
+        }
+
+        for (const timeline of this.timelines) {
+            if (!timeline.playing) continue;
+            timeline.time += deltaTime;
+            if (timeline.time >= timeline.duration) {
+                if (timeline.loop && timeline.duration > 0) {
+                    timeline.time %= timeline.duration;
+                } else {
+                    timeline.time = timeline.duration;
+                    timeline.playing = false;
+                }
+            }
+            this.applyTimeline(timeline);
+        }
+    }
+
+    /**
+     * Sets the options a timeline has at its current time. options that hold still between two
+     * keyframes, or can't be interpolated and switch at the next one, are only set when the
+     * timeline enters that stretch. every step only sets the ones in between two values, so
+     * options like seed or the particle attributes don't restart or refresh each frame
+     */
+    applyTimeline(timeline) {
+        const { frames, time } = timeline;
+        let k = 1;
+        while (k < frames.length && frames[k].at <= time) k++;
+        //before the first or past the last keyframe the options hold still
+        const holding = k === frames.length || time <= frames[0].at;
+        const held = holding ? (time <= frames[0].at ? 0 : frames.length - 1) : k - 1;
+        const segment = holding ? -1 - held : k;
+        if (timeline.segment !== segment) {
+            timeline.segment = segment;
+            this.applyChangedOptions(frames[held].values);
+        }
+        if (holding || frames[k].interpolators.length === 0) return;
+
+        const from = frames[k - 1];
+        const to = frames[k];
+        const eased = to.easing((time - from.at) / (to.at - from.at));
+        const values = {};
+        for (const [key, interpolate] of to.interpolators) {
+            values[key] = interpolate(eased);
+        }
+        this.applyOptions(values);
+    }
+
+    //applies the options that differ from the current ones
+    applyChangedOptions(values) {
+        const changed = {};
+        for (const key of Object.keys(values)) {
+            if (!isSameOptionValue(values[key], this.opts[key])) changed[key] = values[key];
+        }
+        if (Object.keys(changed).length > 0) this.applyOptions(changed);
+    }
+    //#endregion
+
+    //#region Themes
+
+    /**
+     * Applies a color theme. { light, dark } themes (and 'auto', the light and dark presets)
+     * follow prefers-color-scheme and switch again whenever it changes
+     * @param {string|Object} theme - a preset name from THEMES, an object of options or { light, dark }
+     *   with one of those for each scheme
+     * @param {Object} settings - { duration, easing } to change over like animateOptions, instant by default
+     * @returns {Promise} resolves once the theme's options arrived
+     */
+    setTheme(theme, settings = {}) {
+        const options = this.resolveTheme(theme);
+        this.theme = theme;
+        this.themeSettings = settings;
+        return this.animateOptions(options, { duration: 0, ...settings });
+    }
+
+    //the options of a theme for the current color scheme
+    resolveTheme(theme) {
+        if (theme === 'auto') {
+            return this.resolveTheme({ light: 'light', dark: 'dark' });
+        }
+        if (typeof theme === 'string') {
+            if (!THEMES[theme]) {
+                throw new Error(`Unknown theme: ${theme}`);
+            }
+            return { ...THEMES[theme] };
+        }
+        if (!isPlainObject(theme)) {
+            throw new Error('A theme is a preset name, an object of options or { light, dark }');
+        }
+        if (followsColorScheme(theme)) {
+            const preferred = this.darkScheme ? theme.dark : theme.light;
+            return this.resolveTheme(preferred !== undefined ? preferred : theme.dark || theme.light);
+        }
+        return theme;
+    }
+
+    /**
+     * @param {boolean} dark - whether the user prefers a dark color scheme
+     */
+    handleColorSchemeChange(dark) {
+        this.darkScheme = dark;
+        if (followsColorScheme(this.theme)) {
+            this.setTheme(this.theme, this.themeSettings);
+        }
+        //var() colors tend to change with the scheme as well
+        this.refreshColors();
+    }
+
+    //looks var() and currentcolor colors up again, after the page's styles changed (e.g. a dark mode switch)
+    refreshColors() {
+        this.colorCache.clear();
+        //a paused still frame shows the new colors too
+        if (this.autoPaused && !this.hidden) {
+            this.render();
+        }
+    }
+    //#endregion
+
+    //#region API methods
+
+    //simulation step in milliseconds, 60 steps per second adjusted by speed
+    getFixedTimestep() {
+        const targetFPS = 60;
+        return (1000 / targetFPS) / this.opts.speed;
+    }
+
+    /**
+     * Advances the simulation by fixed steps without rendering, independent of
+     * requestAnimationFrame. With opts.seed the result is identical on every run
+     * @param {number} n - number of steps
+     * @param {number} dt - step size in milliseconds, defaults to the animation's fixed timestep
+     */
+    step(n = 1, dt = this.getFixedTimestep()) {
+        for (let i = 0; i < n; i++) {
+            this.update(dt);
+        }
+    }
+
+    start() {
+        //while recording the frames are driven by record(), which restarts the loop afterwards
+        if (this.running || this.recording) return;
+
+        //runs once it can be seen and may move, until then a still frame stands in
+        this.autoPaused = false;
+        if (this.shouldAutoPause()) {
+            this.autoPaused = true;
+            this.render();
+            return;
+        }
+        
+        this.running = true;
+        this.lastTime = this.env.now();
+        this.lastFPSCheck = this.lastTime;
+        this.lastFrameTime = -Infinity;
+        this.frameCount = 0;
+        this.animate(this.lastTime);
+    }
+    
+    stop() {
+        //a stop also cancels resuming after an automatic pause
+        this.autoPaused = false;
+        if (!this.running) return;
+        
+        this.running = false;
+        if (this.animationId) {
+            this.env.cancelFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
+    resize() {
+        this.fitToParent();
+    }
+    
+    destroy() {
+        this.stop();
+
+        this.unlisten();
+        if (this.canvas && this.canvas.style) {
+            this.canvas.style.touchAction = this.originalTouchAction;
+            this.canvas.style.cursor = this.originalCursor;
+        }
+        this.pointers.clear();
+ 
+        this.store.clear();
+        this.particlePool = [];
+        this.forces = [];
+        this.constraints = [];
+        this.edges = [];
+        this.emitters = [];
+        this.mortalCount = 0;
+        this.nodeCount = 0;
+        this.cancelOptionTransitions();
+        this.timelines = [];
+        this.gridDirty = true;
+        this.listeners.clear();
+        this.connections.clear();
+        this.nextConnections.clear();
+
+        if (this.webgl) {
+            this.webgl.destroy();
+        } else if (this.ctx) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+    
+    /**
+     * @param {Object} newOptions - new options to merge with existing
+     */
+    updateOptions(newOptions) {
+        newOptions = validateOptions(newOptions, this.opts);
+        //set right away, a running transition of the same option would undo it
+        this.cancelOptionTransitions(Object.keys(newOptions).filter(key => this.optionTransitions.has(key)));
+        this.applyOptions(newOptions);
+    }
+
+    /**
+     * Merges options and updates whatever depends on them, without touching transitions.
+     * they are validated already, by updateOptions / animateOptions / addTimeline, so the
+     * values transitions and timelines apply each frame skip the schema
+     * @param {Object} newOptions - new options to merge with existing
+     */
+    applyOptions(newOptions) {
+        if (newOptions.renderer !== undefined && newOptions.renderer !== this.opts.renderer) {
+            console.warn('webs.js: the renderer is fixed once the system is created, create a new canvas to switch');
+        }
+        const previous = this.opts;
+        this.opts = { ...this.opts, ...newOptions, renderer: this.opts.renderer };
+
+        //the size comes from somewhere else now, observe that instead
+        if (newOptions.sizeTo !== undefined && newOptions.sizeTo !== previous.sizeTo) {
+            this.unlisten();
+            this.unlisten = this.listenToHost();
+            this.fitToParent();
+        }
+
+        if (newOptions.particleDensity && newOptions.particleDensity !== previous.particleDensity) {
+            this.setParticleCount(this.getDensityParticleCount());
+        }
+
+        if (newOptions.pauseWhenOffscreen !== undefined || newOptions.reducedMotion !== undefined) {
+            this.updateAutoPause();
+        }
+        
+        if (newOptions.gridSize || newOptions.enableSpatialPartitioning !== undefined) {
+            this.gridDirty = true;
+        }
+
+        if (newOptions.enableMouseRepel !== undefined || newOptions.enableDrag !== undefined) {
+            this.updateTouchAction();
+        }
+
+        if (newOptions.enableDrag === false) {
+            for (const pointer of this.pointers.values()) {
+                this.releaseDrag(pointer);
+            }
+        }
+
+        if (newOptions.seed !== undefined) {
+            this.reseed(newOptions.seed);
+        }
+
+        if (PARTICLE_ATTRIBUTE_OPTIONS.some(([, option]) => newOptions[option] !== undefined)) {
+            this.refreshParticleAttributes();
+        }
+    }
+    
+    /**
+     * Return performance statistics
+     */
+    getStats() {
+        return {
+            fps: this.currentFPS,
+            particleCount: this.particles.length,
+            lodMode: this.lodMode,
+            poolSize: this.particlePool.length,
+            connectionCount: this.connectionLines.length,
+            constraintCount: this.constraints.length,
+            nodeCount: this.nodeCount,
+            edgeCount: this.edges.length,
+            emitterCount: this.emitters.length,
+            renderer: this.rendererType
+        };
+    }
+    
+    /**
+     * @param {number} x - x-coordinate for the particle
+     * @param {number} y - y-coordinate for the particle
+     * @param {Object} attrs - optional { color, radius, mass, alpha }, each overriding the options
+     * @returns {ParticleHandle} handle to the new particle, its fields read and write the particle arrays
+     */
+    addParticle(x, y, attrs) {
+        return this.createParticle(x, y, attrs);
+    }
+    
+    /**
+     * Removes the most recently added particle
+     * @returns {Object} plain snapshot of the removed particle, or null if there were none
+     */
+    removeParticle() {
+        if (this.particles.length > 0) {
+            const particle = this.particles[this.particles.length - 1];
+            const snapshot = particle.toJSON();
+            this.releaseParticle(particle);
+            return snapshot;
+        }
+        return null;
+    }
+    
+    setParticleCount(count) {
+        const targetCount = Math.max(0, Math.floor(count));
+        
+        while (this.particles.length < targetCount) {
+            this.addParticle(
+                this.random() * this.width,
+                this.random() * this.height
+            );
+        }
+        
+        while (this.particles.length > targetCount) {
+            this.removeParticle();
+        }
+    }
+
+    getParticleCount() {
         return this.particles.length;
     }
-    
-    addRandomParticle() {
-        this.addParticle(
-            Math.random() * this.width,
-            Math.random() * this.height
+    
+    addRandomParticle() {
+        this.addParticle(
+            this.random() * this.width,
+            this.random() * this.height
+        );
+    }
+    //#endregion
+
+}
+
+//#region Particle storage
+
+//numeric particle fields, each stored in its own Float32Array
+const PARTICLE_FLOAT_FIELDS = ['x', 'y', 'pastX', 'pastY', 'vx', 'vy', 'fx', 'fy', 'radius', 'mass', 'alpha', 'age', 'lifetime', 'seed'];
+//fields that don't fit a typed array, kept in plain arrays
+const PARTICLE_OBJECT_FIELDS = ['color', 'attrs', 'emitter', 'data', 'shape'];
+
+/**
+ * Structure-of-arrays particle storage. Every numeric field lives in a Float32Array indexed by
+ * particle index, so the hot loops walk flat memory instead of chasing objects. Particles are
+ * kept densely packed: removal swaps the last particle into the freed slot.
+ */
+class ParticleStore {
+
+    constructor(capacity = 1024) {
+        this.count = 0;
+        this.capacity = 0;
+        this.nextId = 1; //every added particle gets a new id, pooled handles included
+        //handles[i] is the ParticleHandle for index i, it doubles as ParticleSystem.particles
+        this.handles = [];
+        for (const field of PARTICLE_OBJECT_FIELDS) {
+            this[field] = [];
+        }
+        this.grow(capacity);
+    }
+
+    //reallocates every buffer with room for at least `capacity` particles
+    grow(capacity) {
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            const buffer = new Float32Array(capacity);
+            if (this[field]) buffer.set(this[field].subarray(0, this.count));
+            this[field] = buffer;
+        }
+        const pinned = new Uint8Array(capacity);
+        if (this.pinned) pinned.set(this.pinned.subarray(0, this.count));
+        this.pinned = pinned;
+        this.capacity = capacity;
+    }
+
+    /**
+     * Appends a particle and binds the handle to its slot
+     * @param {ParticleHandle} handle - handle to represent the new particle
+     * @returns {number} index of the new particle
+     */
+    add(handle) {
+        if (this.count === this.capacity) {
+            this.grow(this.capacity * 2);
+        }
+        const index = this.count++;
+        handle.store = this;
+        handle.index = index;
+        handle.id = this.nextId++;
+        this.handles[index] = handle;
+
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            this[field][index] = 0;
+        }
+        this.mass[index] = 1;
+        this.alpha[index] = 1;
+        this.lifetime[index] = Infinity;
+        this.pinned[index] = 0;
+        for (const field of PARTICLE_OBJECT_FIELDS) {
+            this[field][index] = null;
+        }
+        return index;
+    }
+
+    /**
+     * Removes the particle at an index by moving the last particle into its slot
+     * @param {number} index - index of the particle to remove
+     * @returns {ParticleHandle} the detached handle of the removed particle
+     */
+    remove(index) {
+        const handle = this.handles[index];
+        const last = --this.count;
+
+        if (index !== last) {
+            for (const field of PARTICLE_FLOAT_FIELDS) {
+                this[field][index] = this[field][last];
+            }
+            this.pinned[index] = this.pinned[last];
+            for (const field of PARTICLE_OBJECT_FIELDS) {
+                this[field][index] = this[field][last];
+            }
+            const moved = this.handles[last];
+            moved.index = index;
+            this.handles[index] = moved;
+        }
+
+        for (const field of PARTICLE_OBJECT_FIELDS) {
+            this[field][last] = null;
+        }
+        this.handles.length = last;
+        handle.index = -1;
+        return handle;
+    }
+
+    clear() {
+        for (const handle of this.handles) {
+            handle.index = -1;
+        }
+        this.handles.length = 0;
+        for (const field of PARTICLE_OBJECT_FIELDS) {
+            this[field].length = 0;
+        }
+        this.count = 0;
+    }
+}
+
+/**
+ * Lightweight handle to a particle in a ParticleStore, returned by addParticle. Reads and
+ * writes go straight to the typed arrays, so it behaves like the plain particle objects of
+ * earlier versions. A handle is detached (index -1) once its particle leaves the simulation
+ */
+class ParticleHandle {
+
+    constructor() {
+        this.store = null;
+        this.index = -1;
+        this.id = 0;
+    }
+
+    get active() {
+        return this.index !== -1;
+    }
+
+    get pinned() {
+        return this.store.pinned[this.index] === 1;
+    }
+
+    set pinned(value) {
+        this.store.pinned[this.index] = value ? 1 : 0;
+    }
+
+    //plain object copy of the particle's current state
+    toJSON() {
+        if (!this.active) return null;
+        const snapshot = { index: this.index, pinned: this.pinned };
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            snapshot[field] = this[field];
+        }
+        snapshot.color = this.color;
+        return snapshot;
+    }
+}
+
+//accessors for every stored field, defined once on the prototype
+for (const field of [...PARTICLE_FLOAT_FIELDS, ...PARTICLE_OBJECT_FIELDS]) {
+    Object.defineProperty(ParticleHandle.prototype, field, {
+        get() {
+            return this.store[field][this.index];
+        },
+        set(value) {
+            this.store[field][this.index] = value;
+        }
+    });
+}
+//#endregion
+
+//#region State snapshots
+
+const STATE_VERSION = 1;
+const STATE_MAGIC = 'WEBS';
+
+//JSON has no Infinity, infinite numbers (lifetimes, emitter durations, force radii) become strings
+function encodeNumber(value) {
+    return value === Infinity ? 'Infinity' : value === -Infinity ? '-Infinity' : value;
+}
+
+function decodeNumber(value) {
+    return value === 'Infinity' ? Infinity : value === '-Infinity' ? -Infinity : value;
+}
+
+//shallow copies of an object with its infinite numbers encoded / decoded
+function encodeInfinity(object) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, encodeNumber(value)]));
+}
+
+function decodeInfinity(object) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, decodeNumber(value)]));
+}
+
+/**
+ * packs a snapshot into an ArrayBuffer: the magic string, version and a JSON header with
+ * everything but the per-particle numbers, then each particle field as a raw Float32Array
+ * block, the color indices as a Uint32Array and the pinned flags as bytes
+ * 
+ * @param {Object} state - snapshot from getState, without the per-particle number arrays
+ * @param {ParticleStore} store - the particle arrays to pack
+ * @returns {ArrayBuffer} the binary snapshot
+ */
+function encodeBinaryState(state, store) {
+    const count = store.count;
+    const { color, ...particles } = state.particles;
+    const header = new TextEncoder().encode(JSON.stringify({ ...state, particles }));
+    //keep the typed array blocks 4-byte aligned
+    const headerLength = Math.ceil(header.length / 4) * 4;
+
+    const floatsOffset = 12 + headerLength;
+    const colorsOffset = floatsOffset + PARTICLE_FLOAT_FIELDS.length * count * 4;
+    const pinnedOffset = colorsOffset + count * 4;
+    const buffer = new ArrayBuffer(pinnedOffset + count);
+
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    for (let i = 0; i < STATE_MAGIC.length; i++) bytes[i] = STATE_MAGIC.charCodeAt(i);
+    view.setUint32(4, STATE_VERSION, true);
+    view.setUint32(8, header.length, true);
+    bytes.set(header, 12);
+
+    PARTICLE_FLOAT_FIELDS.forEach((field, index) => {
+        new Float32Array(buffer, floatsOffset + index * count * 4, count).set(store[field].subarray(0, count));
+    });
+    new Uint32Array(buffer, colorsOffset, count).set(color);
+    bytes.set(store.pinned.subarray(0, count), pinnedOffset);
+    return buffer;
+}
+
+/**
+ * unpacks a binary snapshot into the same shape getState returns for JSON
+ * 
+ * @param {ArrayBuffer|ArrayBufferView} data - binary snapshot from getState('binary')
+ * @returns {Object} the snapshot
+ */
+function decodeBinaryState(data) {
+    const buffer = data instanceof ArrayBuffer ? data : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+    if (magic !== STATE_MAGIC || view.getUint32(4, true) !== STATE_VERSION) {
+        throw new Error('Unsupported particle system snapshot');
+    }
+
+    const headerLength = view.getUint32(8, true);
+    const state = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+    const particles = state.particles;
+    const count = particles.count;
+
+    const floatsOffset = 12 + Math.ceil(headerLength / 4) * 4;
+    const colorsOffset = floatsOffset + PARTICLE_FLOAT_FIELDS.length * count * 4;
+    PARTICLE_FLOAT_FIELDS.forEach((field, index) => {
+        particles[field] = new Float32Array(buffer, floatsOffset + index * count * 4, count);
+    });
+    particles.color = new Uint32Array(buffer, colorsOffset, count);
+    particles.pinned = new Uint8Array(buffer, colorsOffset + count * 4, count);
+    return state;
+}
+//#endregion
+
+//#region Frame export
+
+const RECORDING_FORMATS = ['webm', 'gif', 'png-sequence'];
+//preferred webm codecs, the first one the browser supports is used
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * encodes a canvas into a Blob. covers OffscreenCanvas (workers), HTMLCanvasElement and
+ * node-canvas, which only offers a Buffer
+ * 
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - canvas to encode
+ * @param {string} type - image mime type
+ * @param {number} quality - 0 to 1, for lossy types
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+    if (typeof canvas.toBlob === 'function') {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the canvas')), type, quality);
+        });
+    }
+    if (typeof canvas.toBuffer === 'function') {
+        return Promise.resolve(new Blob([canvas.toBuffer(type)], { type }));
+    }
+    return Promise.reject(new Error('This canvas cannot be encoded to an image'));
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Minimal animated GIF (GIF89a) encoder. Every frame gets its own 256 color palette, built from
+ * the most common colors of the frame, and is LZW compressed. Loops forever
+ */
+class GifEncoder {
+
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];
+        this.buffer = new Uint8Array(65536);
+        this.position = 0;
+
+        //header and logical screen descriptor, without a global color table
+        this.writeString('GIF89a');
+        this.writeShort(width);
+        this.writeShort(height);
+        this.writeBytes([0, 0, 0]);
+
+        //NETSCAPE2.0 application extension, loop count 0 = forever
+        this.writeBytes([0x21, 0xFF, 11]);
+        this.writeString('NETSCAPE2.0');
+        this.writeBytes([3, 1, 0, 0, 0]);
+    }
+
+    /**
+     * @param {Uint8ClampedArray} rgba - frame pixels, width * height * 4 bytes
+     * @param {number} delay - frame duration in 1/100 s
+     */
+    addFrame(rgba, delay) {
+        const { palette, indices } = quantizeFrame(rgba);
+
+        //graphic control extension: frame delay, no transparency
+        this.writeBytes([0x21, 0xF9, 4, 0]);
+        this.writeShort(delay);
+        this.writeBytes([0, 0]);
+
+        //image descriptor with a local 256 color table
+        this.writeByte(0x2C);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.writeByte(0x87);
+        this.writeBytes(palette);
+
+        this.writeByte(8); //LZW minimum code size
+        const data = lzwEncode(indices, 8);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.subarray(offset, offset + 255);
+            this.writeByte(block.length);
+            this.writeBytes(block);
+        }
+        this.writeByte(0);
+    }
+
+    //writes the trailer and returns the finished file
+    finish() {
+        this.writeByte(0x3B);
+        this.chunks.push(this.buffer.slice(0, this.position));
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+
+    writeByte(value) {
+        if (this.position === this.buffer.length) {
+            this.chunks.push(this.buffer);
+            this.buffer = new Uint8Array(this.buffer.length);
+            this.position = 0;
+        }
+        this.buffer[this.position++] = value;
+    }
+
+    writeShort(value) {
+        this.writeByte(value & 0xFF);
+        this.writeByte((value >> 8) & 0xFF);
+    }
+
+    writeBytes(bytes) {
+        for (let i = 0; i < bytes.length; i++) this.writeByte(bytes[i]);
+    }
+
+    writeString(string) {
+        for (let i = 0; i < string.length; i++) this.writeByte(string.charCodeAt(i));
+    }
+}
+
+/**
+ * reduces a frame to 256 colors. pixels are binned by their top 4 bits per channel, the 256
+ * fullest bins become the palette (averaged colors) and every other bin maps to its nearest entry.
+ * particle scenes are mostly background plus a few hues, so this holds up well
+ * 
+ * @param {Uint8ClampedArray} rgba - frame pixels
+ * @returns {Object} { palette: 768 RGB bytes, indices: palette index per pixel }
+ */
+function quantizeFrame(rgba) {
+    const pixelCount = rgba.length / 4;
+    const counts = new Uint32Array(4096);
+    const sums = new Float64Array(4096 * 3);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+        const bin = (r >> 4) << 8 | (g >> 4) << 4 | (b >> 4);
+        counts[bin]++;
+        sums[bin * 3] += r;
+        sums[bin * 3 + 1] += g;
+        sums[bin * 3 + 2] += b;
+    }
+
+    const bins = [];
+    for (let bin = 0; bin < 4096; bin++) {
+        if (counts[bin] > 0) bins.push(bin);
+    }
+    bins.sort((a, b) => counts[b] - counts[a]);
+
+    const palette = new Uint8Array(768);
+    const paletteSize = Math.min(256, bins.length);
+    for (let i = 0; i < paletteSize; i++) {
+        const bin = bins[i];
+        palette[i * 3] = Math.round(sums[bin * 3] / counts[bin]);
+        palette[i * 3 + 1] = Math.round(sums[bin * 3 + 1] / counts[bin]);
+        palette[i * 3 + 2] = Math.round(sums[bin * 3 + 2] / counts[bin]);
+    }
+
+    //every used bin points at its nearest palette entry
+    const binToIndex = new Uint8Array(4096);
+    for (let i = 0; i < bins.length; i++) {
+        const bin = bins[i];
+        if (i < paletteSize) {
+            binToIndex[bin] = i;
+            continue;
+        }
+        const r = sums[bin * 3] / counts[bin], g = sums[bin * 3 + 1] / counts[bin], b = sums[bin * 3 + 2] / counts[bin];
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        for (let j = 0; j < paletteSize; j++) {
+            const dr = palette[j * 3] - r, dg = palette[j * 3 + 1] - g, db = palette[j * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < nearestDistance) {
+                nearest = j;
+                nearestDistance = distance;
+            }
+        }
+        binToIndex[bin] = nearest;
+    }
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        indices[i] = binToIndex[(rgba[i * 4] >> 4) << 8 | (rgba[i * 4 + 1] >> 4) << 4 | (rgba[i * 4 + 2] >> 4)];
+    }
+    return { palette, indices };
+}
+
+/**
+ * GIF flavoured LZW compression with variable code sizes, up to 12 bit codes.
+ * the table is cleared and rebuilt when it fills up
+ * 
+ * @param {Uint8Array} indices - palette index per pixel
+ * @param {number} minCodeSize - bits per index, 8 for 256 colors
+ * @returns {Uint8Array} packed code stream, without the sub-block framing
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    let output = new Uint8Array(Math.max(1024, indices.length >> 1));
+    let length = 0;
+    let bits = 0;
+    let bitCount = 0;
+
+    const pushByte = (byte) => {
+        if (length === output.length) {
+            const grown = new Uint8Array(output.length * 2);
+            grown.set(output);
+            output = grown;
+        }
+        output[length++] = byte;
+    };
+
+    //codes are packed least significant bit first
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            pushByte(bits & 0xFF);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = prefix << 8 | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            //table full, start over
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            //the decoder grows its code size one entry later, so grow before adding the entry that needs it
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+
+    //flush the remaining bits
+    if (bitCount > 0) {
+        pushByte(bits & 0xFF);
+    }
+    return output.subarray(0, length);
+}
+//#endregion
+
+//#region Particle shapes
+
+//prepared shapes. kind is 'circle', 'polygon' (points in units of the radius, pointing up),
+//'path' (Path2D) or 'sprite' (image / emoji from the atlas). id selects the WebGL shader shape
+const CIRCLE_SHAPE = { kind: 'circle', id: 0, extent: 1 };
+
+//radius of a star's inner corners, relative to its tips
+const STAR_INNER_RADIUS = 0.4;
+
+const POLYGON_SHAPES = {
+    square: { kind: 'polygon', id: 1, extent: Math.SQRT2, points: [-1, -1, 1, -1, 1, 1, -1, 1] },
+    triangle: { kind: 'polygon', id: 2, extent: 1, points: starPoints(3, 1, 1) },
+    star: { kind: 'polygon', id: 3, extent: 1, points: starPoints(5, 1, STAR_INNER_RADIUS) }
+};
+
+//pixel size of one atlas cell, sprites are scaled down from it
+const SPRITE_CELL_SIZE = 64;
+const SPRITE_ATLAS_COLUMNS = 8;
+
+/**
+ * @param {number} tips - number of outer points
+ * @param {number} outer - radius of the tips
+ * @param {number} inner - radius of the points between the tips, equal to outer for a plain polygon
+ * @returns {number[]} flat x, y list starting at the top, clockwise on screen
+ */
+function starPoints(tips, outer, inner) {
+    const points = [];
+    const corners = inner === outer ? tips : tips * 2;
+    for (let i = 0; i < corners; i++) {
+        const angle = -Math.PI / 2 + i * 2 * Math.PI / corners;
+        const radius = i % 2 === 1 && inner !== outer ? inner : outer;
+        points.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+    }
+    return points;
+}
+
+/**
+ * Turns a particleShape value into a prepared shape for the renderers
+ * @param {*} value - shape name, Path2D, SVG path data, { path, viewBox }, { image } or { emoji }
+ * @returns {Object} prepared shape, a circle for anything that can't be drawn here
+ */
+function createShape(value) {
+    if (value === undefined || value === null || value === 'circle') {
+        return CIRCLE_SHAPE;
+    }
+    if (typeof value === 'string' && POLYGON_SHAPES[value]) {
+        return POLYGON_SHAPES[value];
+    }
+
+    //paths are given in -1..1 around the particle unless a viewBox says otherwise
+    const path = typeof value === 'string' || (typeof Path2D !== 'undefined' && value instanceof Path2D) ?
+        value :
+        value && value.path;
+    if (path) {
+        if (typeof Path2D === 'undefined') {
+            console.warn('webs.js: Path2D is not available here, drawing circles instead');
+            return CIRCLE_SHAPE;
+        }
+        if (typeof path === 'string' && !/^\s*[Mm]/.test(path)) {
+            console.warn(`webs.js: unknown particle shape '${path}', drawing circles instead`);
+            return CIRCLE_SHAPE;
+        }
+        const [minX, minY, width, height] = value.viewBox || [-1, -1, 2, 2];
+        return {
+            kind: 'path',
+            path: typeof path === 'string' ? new Path2D(path) : path,
+            scale: 2 / Math.max(width, height),
+            centerX: minX + width / 2,
+            centerY: minY + height / 2,
+            tint: true //the WebGL atlas keeps a white mask that takes the particle color
+        };
+    }
+
+    if (value && (value.image || value.emoji)) {
+        return { kind: 'sprite', image: value.image || null, emoji: value.emoji || null, tint: false };
+    }
+
+    console.warn('webs.js: unsupported particle shape, drawing circles instead', value);
+    return CIRCLE_SHAPE;
+}
+
+//whether a particleShape value survives JSON, Path2D objects and images don't
+function isSerializableShape(value) {
+    if (Array.isArray(value)) return value.every(isSerializableShape);
+    return typeof value === 'string' ||
+        Boolean(value && (typeof value.emoji === 'string' || typeof value.path === 'string'));
+}
+
+//a canvas that isn't attached to the page, OffscreenCanvas where there is no DOM
+function createScratchCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return null;
+}
+
+/**
+ * Texture atlas of pre-rendered sprites. Every image / emoji (and for WebGL every path) is
+ * drawn once into its own cell, particles are then copied from the atlas with drawImage or
+ * sampled as a texture. The atlas doubles its height when it runs out of cells, so it
+ * stays power-of-two sized for WebGL mipmaps
+ */
+class SpriteAtlas {
+
+    /**
+     * @param {boolean} fill - whether paths are filled or outlined
+     */
+    constructor(fill) {
+        this.fill = fill;
+        this.cellSize = SPRITE_CELL_SIZE;
+        this.cells = new Map();
+        this.canvas = null;
+        this.ctx = null;
+        this.version = 0; //changes whenever a cell is drawn, the WebGL texture is uploaded again
+    }
+
+    /**
+     * @param {Object} shape - prepared 'sprite' or 'path' shape
+     * @returns {Object|null} { x, y, size } of its cell, null when no canvas can be created
+     */
+    get(shape) {
+        let cell = this.cells.get(shape);
+        if (cell) return cell;
+
+        const index = this.cells.size;
+        const row = Math.floor(index / SPRITE_ATLAS_COLUMNS);
+        if (!this.canvas || (row + 1) * this.cellSize > this.canvas.height) {
+            const rows = this.canvas ? this.canvas.height / this.cellSize * 2 : 1;
+            if (!this.grow(rows)) return null;
+        }
+
+        cell = { x: (index % SPRITE_ATLAS_COLUMNS) * this.cellSize, y: row * this.cellSize, size: this.cellSize };
+        this.cells.set(shape, cell);
+        this.draw(shape, cell);
+
+        //images that are still loading are drawn again once they are there
+        if (shape.image && shape.image.complete === false) {
+            shape.image.addEventListener('load', () => this.draw(shape, cell), { once: true });
+        }
+        return cell;
+    }
+
+    //moves the atlas to a canvas with room for `rows` rows, keeping the cells drawn so far
+    grow(rows) {
+        const canvas = createScratchCanvas(SPRITE_ATLAS_COLUMNS * this.cellSize, rows * this.cellSize);
+        if (!canvas) return false;
+
+        const ctx = canvas.getContext('2d');
+        if (this.canvas) ctx.drawImage(this.canvas, 0, 0);
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.version++;
+        return true;
+    }
+
+    draw(shape, cell) {
+        const ctx = this.ctx;
+        const half = cell.size / 2;
+        //a little room around each sprite so neighbours don't bleed in when scaled down
+        const radius = half - 2;
+
+        ctx.save();
+        ctx.clearRect(cell.x, cell.y, cell.size, cell.size);
+        ctx.translate(cell.x + half, cell.y + half);
+
+        if (shape.kind === 'path') {
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#ffffff';
+            ctx.scale(radius * shape.scale, radius * shape.scale);
+            ctx.translate(-shape.centerX, -shape.centerY);
+            ctx.lineWidth = 2 / (radius * shape.scale);
+            if (this.fill) ctx.fill(shape.path);
+            else ctx.stroke(shape.path);
+        } else if (shape.image) {
+            //fit into the cell, keeping the aspect ratio
+            const width = shape.image.naturalWidth || shape.image.width;
+            const height = shape.image.naturalHeight || shape.image.height;
+            if (width > 0 && height > 0) {
+                const scale = radius * 2 / Math.max(width, height);
+                ctx.drawImage(shape.image, -width * scale / 2, -height * scale / 2, width * scale, height * scale);
+            }
+        } else {
+            ctx.font = `${Math.floor(radius * 1.6)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(shape.emoji, 0, 0);
+        }
+
+        ctx.restore();
+        this.version++;
+    }
+}
+//#endregion
+
+//#region Shape forming
+
+/**
+ * Draws a formShape target scaled to fit its bounds on a scratch canvas, white on transparent
+ * (images keep their own colors)
+ * @param {string|Object} target - text, image source or { path, viewBox }
+ * @param {Object} bounds - { x, y, width, height } to fit into, in canvas px
+ * @param {Object} settings - formShape settings (font, outline, lineWidth)
+ * @returns {Object} { x, y, width, height, pixels }, where the drawing sits on the canvas and its RGBA pixels
+ */
+function rasterizeFormTarget(target, bounds, settings) {
+    const scratch = createScratchCanvas(1, 1);
+    if (!scratch) {
+        throw new Error('formShape needs OffscreenCanvas or a DOM to draw text, images and paths, pass an array of points instead');
+    }
+
+    let sourceWidth, sourceHeight, draw;
+    if (typeof target === 'string') {
+        const ctx = scratch.getContext('2d');
+        ctx.font = settings.font;
+        const lines = target.split('\n');
+        const metrics = ctx.measureText('M');
+        const fontSize = /(\d+(?:\.\d+)?)px/.exec(settings.font);
+        const lineHeight = (metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent) ||
+            (fontSize ? parseFloat(fontSize[1]) * 1.2 : 120);
+
+        sourceWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+        sourceHeight = lineHeight * lines.length;
+        draw = (ctx) => {
+            ctx.font = settings.font;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            lines.forEach((line, i) => {
+                if (settings.outline) {
+                    ctx.strokeText(line, sourceWidth / 2, (i + 0.5) * lineHeight);
+                } else {
+                    ctx.fillText(line, sourceWidth / 2, (i + 0.5) * lineHeight);
+                }
+            });
+        };
+    } else if (target && target.path) {
+        if (!target.viewBox) {
+            throw new Error('formShape paths need a viewBox: [x, y, width, height]');
+        }
+        const [minX, minY, width, height] = target.viewBox;
+        const path = typeof target.path === 'string' ? new Path2D(target.path) : target.path;
+        sourceWidth = width;
+        sourceHeight = height;
+        draw = (ctx) => {
+            ctx.translate(-minX, -minY);
+            //paths trace their outline unless asked otherwise
+            if (settings.outline === false) {
+                ctx.fill(path);
+            } else {
+                ctx.stroke(path);
+            }
+        };
+    } else if (target && (target.naturalWidth !== undefined || target.width !== undefined)) {
+        let image = target;
+        //ImageData can't be drawn scaled, put it on a canvas first
+        if (typeof ImageData !== 'undefined' && target instanceof ImageData) {
+            image = createScratchCanvas(target.width, target.height);
+            image.getContext('2d').putImageData(target, 0, 0);
+        }
+        sourceWidth = target.naturalWidth || target.videoWidth || target.width;
+        sourceHeight = target.naturalHeight || target.videoHeight || target.height;
+        if (!sourceWidth || !sourceHeight) {
+            throw new Error('formShape image has no size, wait until it has loaded');
+        }
+        draw = (ctx) => ctx.drawImage(image, 0, 0, sourceWidth, sourceHeight);
+    } else {
+        throw new Error('Unsupported formShape target, expected text, an image, { path, viewBox } or an array of points');
+    }
+
+    const scale = Math.min(bounds.width / sourceWidth, bounds.height / sourceHeight);
+    const width = Math.max(1, Math.ceil(sourceWidth * scale));
+    const height = Math.max(1, Math.ceil(sourceHeight * scale));
+    const canvas = createScratchCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = settings.lineWidth / scale;
+    ctx.lineJoin = 'round';
+    draw(ctx);
+
+    return {
+        x: bounds.x + (bounds.width - width) / 2,
+        y: bounds.y + (bounds.height - height) / 2,
+        width,
+        height,
+        pixels: ctx.getImageData(0, 0, width, height).data
+    };
+}
+//#endregion
+
+//#region WebGL renderer
+
+const PARTICLE_VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec2 a_center;
+attribute float a_radius;
+attribute float a_angle;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+uniform float u_extent;
+varying vec2 v_offset;
+varying float v_radius;
+varying vec4 v_color;
+void main() {
+    //quad one pixel larger than the shape, leaves room for the anti-aliased edge
+    vec2 corner = a_corner * (a_radius * u_extent + 1.0);
+    //position in the shape's own frame, so the fragment shader doesn't need to know the rotation
+    float c = cos(a_angle);
+    float s = sin(a_angle);
+    v_offset = vec2(c * corner.x + s * corner.y, c * corner.y - s * corner.x);
+    v_radius = a_radius;
+    v_color = a_color;
+    vec2 clip = (a_center + corner) / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+//signed distance functions (after Inigo Quilez) for the shapes the 2d renderer draws as paths
+const PARTICLE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform float u_shape;
+uniform float u_fill;
+varying vec2 v_offset;
+varying float v_radius;
+varying vec4 v_color;
+
+float squareDistance(vec2 p, float halfSize) {
+    vec2 d = abs(p) - vec2(halfSize);
+    return length(max(d, 0.0)) + min(max(d.x, d.y), 0.0);
+}
+
+//equilateral triangle pointing up, r is the distance from the center to a corner
+float triangleDistance(vec2 p, float r) {
+    const float k = 1.7320508;
+    float halfSide = r * 0.8660254;
+    p.x = abs(p.x) - halfSide;
+    p.y = p.y + halfSide / k;
+    if (p.x + k * p.y > 0.0) p = vec2(p.x - k * p.y, -k * p.x - p.y) / 2.0;
+    p.x -= clamp(p.x, -2.0 * halfSide, 0.0);
+    return -length(p) * sign(p.y);
+}
+
+//five pointed star pointing up, inner corners at r * inner
+float starDistance(vec2 p, float r, float inner) {
+    const vec2 k1 = vec2(0.809016994, -0.587785252);
+    const vec2 k2 = vec2(-0.809016994, -0.587785252);
+    p.x = abs(p.x);
+    p -= 2.0 * max(dot(k1, p), 0.0) * k1;
+    p -= 2.0 * max(dot(k2, p), 0.0) * k2;
+    p.x = abs(p.x);
+    p.y -= r;
+    vec2 ba = inner * vec2(-k1.y, k1.x) - vec2(0.0, 1.0);
+    float h = clamp(dot(p, ba) / dot(ba, ba), 0.0, r);
+    return length(p - ba * h) * sign(p.y * ba.x - p.x * ba.y);
+}
+
+void main() {
+    //the distance functions have y pointing up
+    vec2 p = vec2(v_offset.x, -v_offset.y);
+    float edge;
+    if (u_shape < 0.5) {
+        edge = length(p) - v_radius;
+    } else if (u_shape < 1.5) {
+        edge = squareDistance(p, v_radius);
+    } else if (u_shape < 2.5) {
+        edge = triangleDistance(p, v_radius);
+    } else {
+        edge = starDistance(p, v_radius, ${STAR_INNER_RADIUS.toFixed(2)});
+    }
+
+    //filled shapes get a soft edge, outlines are one pixel wide like the strokes of the 2d renderer
+    float coverage = u_fill > 0.5 ?
+        clamp(0.5 - edge, 0.0, 1.0) :
+        clamp(1.0 - abs(edge), 0.0, 1.0);
+    float alpha = v_color.a * coverage;
+    if (alpha <= 0.0) discard;
+    gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+}`;
+
+const SPRITE_VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec2 a_center;
+attribute float a_radius;
+attribute float a_angle;
+attribute vec4 a_color;
+attribute vec4 a_cell;
+uniform vec2 u_resolution;
+varying vec2 v_uv;
+varying vec4 v_color;
+void main() {
+    vec2 corner = a_corner * a_radius;
+    float c = cos(a_angle);
+    float s = sin(a_angle);
+    vec2 offset = vec2(c * corner.x - s * corner.y, s * corner.x + c * corner.y);
+    v_uv = mix(a_cell.xy, a_cell.zw, a_corner * 0.5 + 0.5);
+    v_color = a_color;
+    vec2 clip = (a_center + offset) / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const SPRITE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_atlas;
+uniform float u_tint;
+varying vec2 v_uv;
+varying vec4 v_color;
+void main() {
+    //the atlas is premultiplied. path masks take the particle color, images and emoji keep their own
+    vec4 texel = texture2D(u_atlas, v_uv);
+    vec4 color = u_tint > 0.5 ? vec4(v_color.rgb * texel.a, texel.a) : texel;
+    gl_FragColor = color * v_color.a;
+}`;
+
+const LINE_VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec2 a_start;
+attribute vec2 a_finish;
+attribute vec4 a_startColor;
+attribute vec4 a_finishColor;
+attribute float a_width;
+uniform vec2 u_resolution;
+varying vec4 v_color;
+varying float v_across;
+varying float v_halfWidth;
+void main() {
+    //each instance is one segment drawn as a quad. a_corner.x picks the start (0) or
+    //finish (1) end, a_corner.y the side, one pixel wider than the line for the anti-aliased edge
+    vec2 direction = a_finish - a_start;
+    float segmentLength = length(direction);
+    vec2 normal = segmentLength > 0.0 ? vec2(-direction.y, direction.x) / segmentLength : vec2(0.0, 1.0);
+    float extent = a_width * 0.5 + 1.0;
+    vec2 position = mix(a_start, a_finish, a_corner.x) + normal * a_corner.y * extent;
+    v_across = a_corner.y * extent;
+    v_halfWidth = a_width * 0.5;
+    v_color = mix(a_startColor, a_finishColor, a_corner.x);
+    vec2 clip = position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const LINE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec4 v_color;
+varying float v_across;
+varying float v_halfWidth;
+void main() {
+    //px from the center line, lines thinner than a pixel just get fainter
+    float coverage = clamp(v_halfWidth + 0.5 - abs(v_across), 0.0, 1.0);
+    float alpha = v_color.a * coverage;
+    gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+}`;
+
+const TRIANGLE_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec4 v_color;
+void main() {
+    v_color = a_color;
+    vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const TRIANGLE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec4 v_color;
+void main() {
+    gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}`;
+
+const FILL_VERTEX_SHADER = `
+attribute vec2 a_corner;
+void main() {
+    gl_Position = vec4(a_corner, 0.0, 1.0);
+}`;
+
+const FILL_FRAGMENT_SHADER = `
+precision mediump float;
+uniform vec4 u_color;
+void main() {
+    gl_FragColor = vec4(u_color.rgb * u_color.a, u_color.a);
+}`;
+
+//floats per instance in the particle / line buffers, and per vertex in the triangle buffer
+const PARTICLE_STRIDE = 8; //x, y, radius, angle, r, g, b, a
+const SPRITE_STRIDE = 12; //x, y, radius, angle, r, g, b, a, u1, v1, u2, v2
+const LINE_STRIDE = 13; //x1, y1, x2, y2, r1, g1, b1, a1, r2, g2, b2, a2, width
+const TRIANGLE_STRIDE = 6; //x, y, r, g, b, a
+
+/**
+ * WebGL backend for ParticleSystem. Particles are instanced quads, shaded into circles and
+ * polygons from distance functions or textured from the sprite atlas. Connections are
+ * instanced line quads with per-end color and alpha, curves are split into segments and
+ * the 'triangles' style fills plain triangles. Sticks to GLSL ES 1.0 and
+ * WebGL 1 + ANGLE_instanced_arrays when WebGL 2 is missing, so it also runs on software
+ * implementations such as SwiftShader.
+ */
+class WebGLRenderer {
+
+    /**
+     * Creates a renderer for the canvas, or returns null (without claiming the canvas)
+     * when neither WebGL 2 nor WebGL 1 with instancing is available
+     * @param {HTMLCanvasElement} canvas - canvas to render on
+     * @returns {WebGLRenderer|null}
+     */
+    static create(canvas) {
+        const attributes = { alpha: false, antialias: true, preserveDrawingBuffer: true };
+
+        const gl2 = canvas.getContext('webgl2', attributes);
+        if (gl2) return new WebGLRenderer(canvas, gl2, null);
+
+        //probe WebGL 1 on a scratch canvas first, a context on ours would rule out the 2d fallback.
+        //workers have no document but an OffscreenCanvas does the same
+        const scratch = typeof document !== 'undefined' ? document.createElement('canvas') :
+            typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : null;
+        const probe = scratch && scratch.getContext('webgl');
+        if (!probe || !probe.getExtension('ANGLE_instanced_arrays')) return null;
+
+        const gl = canvas.getContext('webgl', attributes);
+        const instancing = gl && gl.getExtension('ANGLE_instanced_arrays');
+        if (!instancing) return null;
+        return new WebGLRenderer(canvas, gl, instancing);
+    }
+
+    constructor(canvas, gl, instancingExtension) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.instancingExtension = instancingExtension;
+        this.width = 0;
+        this.height = 0;
+
+        //instance data, grown as needed and reused between frames
+        this.particleData = new Float32Array(PARTICLE_STRIDE * 1024);
+        this.spriteData = new Float32Array(SPRITE_STRIDE * 256);
+        this.lineData = new Float32Array(LINE_STRIDE * 4096);
+        this.triangleData = new Float32Array(TRIANGLE_STRIDE * 3 * 1024);
+        this.shapeGroups = new Map(); //particles of each shape, reused between frames
+
+        this.contextLost = false;
+        this.boundContextLost = (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+        };
+        this.boundContextRestored = () => {
+            this.initResources();
+            this.contextLost = false;
+        };
+        canvas.addEventListener('webglcontextlost', this.boundContextLost);
+        canvas.addEventListener('webglcontextrestored', this.boundContextRestored);
+
+        this.initResources();
+    }
+
+    //compiles the programs and creates the buffers (again after a context loss)
+    initResources() {
+        const gl = this.gl;
+
+        this.particleProgram = this.createProgram(PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER);
+        this.lineProgram = this.createProgram(LINE_VERTEX_SHADER, LINE_FRAGMENT_SHADER);
+        this.fillProgram = this.createProgram(FILL_VERTEX_SHADER, FILL_FRAGMENT_SHADER);
+        this.spriteProgram = this.createProgram(SPRITE_VERTEX_SHADER, SPRITE_FRAGMENT_SHADER);
+        this.triangleProgram = this.createProgram(TRIANGLE_VERTEX_SHADER, TRIANGLE_FRAGMENT_SHADER);
+
+        //shared unit quad (two triangles) and line quad (0..1 along, -1..1 across)
+        this.quadBuffer = this.createStaticBuffer(new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]));
+        this.segmentBuffer = this.createStaticBuffer(new Float32Array([0, -1, 1, -1, 0, 1, 0, 1, 1, -1, 1, 1]));
+        this.particleBuffer = gl.createBuffer();
+        this.spriteBuffer = gl.createBuffer();
+        this.lineBuffer = gl.createBuffer();
+        this.triangleBuffer = gl.createBuffer();
+
+        //sprite atlas texture, created and uploaded when sprites are first drawn
+        this.atlasTexture = null;
+        this.atlas = null;
+        this.atlasVersion = -1;
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    createShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+            throw new Error('webs.js: shader compilation failed: ' + gl.getShaderInfoLog(shader));
+        }
+        return shader;
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.createShader(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this.createShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
+            throw new Error('webs.js: program link failed: ' + gl.getProgramInfoLog(program));
+        }
+        return program;
+    }
+
+    createStaticBuffer(data) {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        return buffer;
+    }
+
+    //WebGL 2 has instancing built in, WebGL 1 goes through the extension
+    vertexAttribDivisor(location, divisor) {
+        if (this.instancingExtension) {
+            this.instancingExtension.vertexAttribDivisorANGLE(location, divisor);
+        } else {
+            this.gl.vertexAttribDivisor(location, divisor);
+        }
+    }
+
+    drawArraysInstanced(mode, count, instances) {
+        if (this.instancingExtension) {
+            this.instancingExtension.drawArraysInstancedANGLE(mode, 0, count, instances);
+        } else {
+            this.gl.drawArraysInstanced(mode, 0, count, instances);
+        }
+    }
+
+    /**
+     * Binds a float attribute from the currently bound buffer
+     * @returns {number} the attribute location, so it can be disabled after drawing
+     */
+    bindAttribute(program, name, size, stride, offset, divisor) {
+        const gl = this.gl;
+        const location = gl.getAttribLocation(program, name);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+        this.vertexAttribDivisor(location, divisor);
+        return location;
+    }
+
+    unbindAttributes(locations) {
+        for (const location of locations) {
+            this.vertexAttribDivisor(location, 0);
+            this.gl.disableVertexAttribArray(location);
+        }
+    }
+
+    /**
+     * @param {number} width - canvas width in CSS pixels
+     * @param {number} height - canvas height in CSS pixels
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    //reads the drawing buffer back as RGBA rows, top row first like getImageData
+    readPixels() {
+        const gl = this.gl;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const pixels = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+        //webgl rows start at the bottom
+        const data = new Uint8ClampedArray(pixels.length);
+        const rowLength = width * 4;
+        for (let row = 0; row < height; row++) {
+            const source = (height - 1 - row) * rowLength;
+            data.set(pixels.subarray(source, source + rowLength), row * rowLength);
+        }
+        return { width, height, data };
+    }
+
+    //grows a Float32Array so it can hold `length` floats
+    ensureCapacity(array, length) {
+        if (array.length >= length) return array;
+        return new Float32Array(Math.max(length, array.length * 2));
+    }
+
+    /**
+     * Draws a frame from the system's collected render data
+     * @param {ParticleSystem} system - system to draw, collectRenderData() must have run
+     */
+    render(system) {
+        if (this.contextLost) return;
+        const gl = this.gl;
+        const opts = system.opts;
+        const background = system.getParsedColor(opts.backgroundColor);
+
+        //clear canvas (unless options are enabled), trails fade like the 2d 0x20 overlay.
+        //the clear color is premultiplied like the canvas
+        if (!opts.enablePersistence && !opts.enableTrails) {
+            const a = background.a;
+            gl.clearColor(background.r / 255 * a, background.g / 255 * a, background.b / 255 * a, a);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+        } else if (opts.enableTrails && !opts.enablePersistence) {
+            this.fill(background, background.a * 0x20 / 255);
+        }
+
+        this.renderTriangles(system);
+        this.renderConnections(system);
+        this.renderParticles(system);
+    }
+
+    //fills the whole canvas with a translucent color
+    fill(color, alpha) {
+        const gl = this.gl;
+        gl.useProgram(this.fillProgram);
+        gl.uniform4f(gl.getUniformLocation(this.fillProgram, 'u_color'), color.r / 255, color.g / 255, color.b / 255, alpha);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const location = this.bindAttribute(this.fillProgram, 'a_corner', 2, 2, 0, 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        this.unbindAttributes([location]);
+    }
+
+    renderConnections(system) {
+        const lines = system.connectionLines;
+        if (lines.length === 0) return;
+        const gl = this.gl;
+
+        const segmentsPerLine = system.opts.connectionStyle === 'curve' ? CURVE_SEGMENTS : 1;
+        this.lineData = this.ensureCapacity(this.lineData, lines.length * segmentsPerLine * LINE_STRIDE);
+        const data = this.lineData;
+        let count = 0;
+        for (const line of lines) {
+            if (line.alpha <= 0 || line.width <= 0) continue;
+            const start = system.getParsedColor(line.color || system.opts.particleColor);
+            const end = line.endColor === line.color ? start : system.getParsedColor(line.endColor || system.opts.particleColor);
+
+            if (!line.curved) {
+                this.writeSegment(count++, line, line.x1, line.y1, line.x2, line.y2, start, end, 0, 1);
+                continue;
+            }
+            //points along the quadratic curve, colors blend along it like on a straight line
+            let previousX = line.x1;
+            let previousY = line.y1;
+            for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+                const t = s / CURVE_SEGMENTS;
+                const u = 1 - t;
+                const pointX = u * u * line.x1 + 2 * u * t * line.cx + t * t * line.x2;
+                const pointY = u * u * line.y1 + 2 * u * t * line.cy + t * t * line.y2;
+                this.writeSegment(count++, line, previousX, previousY, pointX, pointY, start, end, (s - 1) / CURVE_SEGMENTS, t);
+                previousX = pointX;
+                previousY = pointY;
+            }
+        }
+        if (count === 0) return;
+
+        const program = this.lineProgram;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.segmentBuffer);
+        const locations = [this.bindAttribute(program, 'a_corner', 2, 2, 0, 0)];
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * LINE_STRIDE), gl.DYNAMIC_DRAW);
+        locations.push(
+            this.bindAttribute(program, 'a_start', 2, LINE_STRIDE, 0, 1),
+            this.bindAttribute(program, 'a_finish', 2, LINE_STRIDE, 2, 1),
+            this.bindAttribute(program, 'a_startColor', 4, LINE_STRIDE, 4, 1),
+            this.bindAttribute(program, 'a_finishColor', 4, LINE_STRIDE, 8, 1),
+            this.bindAttribute(program, 'a_width', 1, LINE_STRIDE, 12, 1)
+        );
+
+        this.drawArraysInstanced(gl.TRIANGLES, 6, count);
+        this.unbindAttributes(locations);
+    }
+
+    /**
+     * Writes one line segment instance, a piece of a connection between `from` and `to`
+     * along it (0..1) so gradients blend across the pieces of a curve
+     * @param {number} index - instance index in lineData
+     * @param {Object} line - the connection, for its alpha and width
+     * @param {Object} start - parsed color at the connection's start
+     * @param {Object} end - parsed color at the connection's end
+     */
+    writeSegment(index, line, x1, y1, x2, y2, start, end, from, to) {
+        const data = this.lineData;
+        const offset = index * LINE_STRIDE;
+        data[offset] = x1;
+        data[offset + 1] = y1;
+        data[offset + 2] = x2;
+        data[offset + 3] = y2;
+        data[offset + 4] = (start.r + (end.r - start.r) * from) / 255;
+        data[offset + 5] = (start.g + (end.g - start.g) * from) / 255;
+        data[offset + 6] = (start.b + (end.b - start.b) * from) / 255;
+        data[offset + 7] = line.alpha * (start.a + (end.a - start.a) * from);
+        data[offset + 8] = (start.r + (end.r - start.r) * to) / 255;
+        data[offset + 9] = (start.g + (end.g - start.g) * to) / 255;
+        data[offset + 10] = (start.b + (end.b - start.b) * to) / 255;
+        data[offset + 11] = line.alpha * (start.a + (end.a - start.a) * to);
+        data[offset + 12] = line.width;
+    }
+
+    //the 'triangles' style, every triangle in a single draw call
+    renderTriangles(system) {
+        const triangles = system.connectionTriangles;
+        if (triangles.length === 0) return;
+        const gl = this.gl;
+
+        this.triangleData = this.ensureCapacity(this.triangleData, triangles.length * 3 * TRIANGLE_STRIDE);
+        const data = this.triangleData;
+        let offset = 0;
+        const writeVertex = (x, y, color, alpha) => {
+            data[offset] = x;
+            data[offset + 1] = y;
+            data[offset + 2] = color.r / 255;
+            data[offset + 3] = color.g / 255;
+            data[offset + 4] = color.b / 255;
+            data[offset + 5] = alpha * color.a;
+            offset += TRIANGLE_STRIDE;
+        };
+        for (const triangle of triangles) {
+            const color = system.getParsedColor(triangle.color || system.opts.particleColor);
+            writeVertex(triangle.x1, triangle.y1, color, triangle.alpha);
+            writeVertex(triangle.x2, triangle.y2, color, triangle.alpha);
+            writeVertex(triangle.x3, triangle.y3, color, triangle.alpha);
+        }
+
+        const program = this.triangleProgram;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.triangleBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, offset), gl.DYNAMIC_DRAW);
+        const locations = [
+            this.bindAttribute(program, 'a_position', 2, TRIANGLE_STRIDE, 0, 0),
+            this.bindAttribute(program, 'a_color', 4, TRIANGLE_STRIDE, 2, 0)
+        ];
+        gl.drawArrays(gl.TRIANGLES, 0, triangles.length * 3);
+        this.unbindAttributes(locations);
+    }
+
+    //one instanced draw call per shape, most scenes only use one
+    renderParticles(system) {
+        const positions = system.particlePositions;
+        if (positions.length === 0) return;
+
+        const groups = this.shapeGroups;
+        for (const group of groups.values()) group.length = 0;
+        let atlas = null;
+        for (const pos of positions) {
+            if (pos.alpha <= 0) continue;
+            let group = groups.get(pos.shape);
+            if (!group) {
+                group = [];
+                groups.set(pos.shape, group);
+            }
+            if (group.length === 0 && (pos.shape.kind === 'path' || pos.shape.kind === 'sprite')) {
+                //add every sprite to the atlas first, so it is uploaded once per frame at most
+                atlas = system.getSpriteAtlas();
+                atlas.get(pos.shape);
+            }
+            group.push(pos);
+        }
+        if (atlas && atlas.canvas) {
+            this.updateAtlasTexture(atlas);
+        }
+
+        for (const [shape, group] of groups) {
+            if (group.length === 0) {
+                //shapes that are no longer used don't keep their group around
+                groups.delete(shape);
+            } else if (shape.kind === 'circle' || shape.kind === 'polygon') {
+                this.renderShapes(system, shape, group);
+            } else {
+                this.renderSprites(system, shape, group);
+            }
+        }
+    }
+
+    //circles and polygons, shaded from signed distance functions
+    renderShapes(system, shape, positions) {
+        const gl = this.gl;
+
+        this.particleData = this.ensureCapacity(this.particleData, positions.length * PARTICLE_STRIDE);
+        const data = this.particleData;
+        let count = 0;
+        for (const pos of positions) {
+            const color = system.getParsedColor(pos.color);
+            const offset = count * PARTICLE_STRIDE;
+            data[offset] = pos.x;
+            data[offset + 1] = pos.y;
+            data[offset + 2] = pos.radius;
+            data[offset + 3] = pos.angle;
+            data[offset + 4] = color.r / 255;
+            data[offset + 5] = color.g / 255;
+            data[offset + 6] = color.b / 255;
+            data[offset + 7] = pos.alpha * color.a;
+            count++;
+        }
+
+        const program = this.particleProgram;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_shape'), shape.id);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_extent'), shape.extent);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_fill'), system.opts.particleFill ? 1 : 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const locations = [this.bindAttribute(program, 'a_corner', 2, 2, 0, 0)];
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * PARTICLE_STRIDE), gl.DYNAMIC_DRAW);
+        locations.push(
+            this.bindAttribute(program, 'a_center', 2, PARTICLE_STRIDE, 0, 1),
+            this.bindAttribute(program, 'a_radius', 1, PARTICLE_STRIDE, 2, 1),
+            this.bindAttribute(program, 'a_angle', 1, PARTICLE_STRIDE, 3, 1),
+            this.bindAttribute(program, 'a_color', 4, PARTICLE_STRIDE, 4, 1)
+        );
+
+        this.drawArraysInstanced(gl.TRIANGLES, 6, count);
+        this.unbindAttributes(locations);
+    }
+
+    //paths, images and emoji, textured quads sampling the system's sprite atlas
+    renderSprites(system, shape, positions) {
+        const gl = this.gl;
+        const atlas = system.getSpriteAtlas();
+        const cell = atlas.get(shape);
+        if (!cell) {
+            this.renderShapes(system, CIRCLE_SHAPE, positions);
+            return;
+        }
+
+        const u1 = cell.x / atlas.canvas.width;
+        const v1 = cell.y / atlas.canvas.height;
+        const u2 = (cell.x + cell.size) / atlas.canvas.width;
+        const v2 = (cell.y + cell.size) / atlas.canvas.height;
+
+        this.spriteData = this.ensureCapacity(this.spriteData, positions.length * SPRITE_STRIDE);
+        const data = this.spriteData;
+        let count = 0;
+        for (const pos of positions) {
+            const color = system.getParsedColor(pos.color);
+            const offset = count * SPRITE_STRIDE;
+            data[offset] = pos.x;
+            data[offset + 1] = pos.y;
+            data[offset + 2] = pos.radius;
+            data[offset + 3] = pos.angle;
+            data[offset + 4] = color.r / 255;
+            data[offset + 5] = color.g / 255;
+            data[offset + 6] = color.b / 255;
+            data[offset + 7] = pos.alpha * color.a;
+            data[offset + 8] = u1;
+            data[offset + 9] = v1;
+            data[offset + 10] = u2;
+            data[offset + 11] = v2;
+            count++;
+        }
+
+        const program = this.spriteProgram;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_tint'), shape.tint ? 1 : 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_atlas'), 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const locations = [this.bindAttribute(program, 'a_corner', 2, 2, 0, 0)];
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.spriteBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * SPRITE_STRIDE), gl.DYNAMIC_DRAW);
+        locations.push(
+            this.bindAttribute(program, 'a_center', 2, SPRITE_STRIDE, 0, 1),
+            this.bindAttribute(program, 'a_radius', 1, SPRITE_STRIDE, 2, 1),
+            this.bindAttribute(program, 'a_angle', 1, SPRITE_STRIDE, 3, 1),
+            this.bindAttribute(program, 'a_color', 4, SPRITE_STRIDE, 4, 1),
+            this.bindAttribute(program, 'a_cell', 4, SPRITE_STRIDE, 8, 1)
+        );
+
+        this.drawArraysInstanced(gl.TRIANGLES, 6, count);
+        this.unbindAttributes(locations);
+    }
+
+    //uploads the atlas when it changed since the last upload, with mipmaps for small sprites
+    updateAtlasTexture(atlas) {
+        if (this.atlas === atlas && this.atlasVersion === atlas.version) return;
+        const gl = this.gl;
+
+        if (!this.atlasTexture) {
+            this.atlasTexture = gl.createTexture();
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, atlas.canvas);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        this.atlas = atlas;
+        this.atlasVersion = atlas.version;
+    }
+
+    destroy() {
+        const gl = this.gl;
+        this.canvas.removeEventListener('webglcontextlost', this.boundContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.boundContextRestored);
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.deleteBuffer(this.quadBuffer);
+        gl.deleteBuffer(this.segmentBuffer);
+        gl.deleteBuffer(this.particleBuffer);
+        gl.deleteBuffer(this.spriteBuffer);
+        gl.deleteBuffer(this.lineBuffer);
+        gl.deleteBuffer(this.triangleBuffer);
+        gl.deleteProgram(this.particleProgram);
+        gl.deleteProgram(this.lineProgram);
+        gl.deleteProgram(this.fillProgram);
+        gl.deleteProgram(this.spriteProgram);
+        gl.deleteProgram(this.triangleProgram);
+        if (this.atlasTexture) gl.deleteTexture(this.atlasTexture);
+    }
+}
+//#endregion
+
+//#region Options schema
+
+/**
+ * every option with what it accepts, for validation and for generating settings UIs
+ * (exposed as ParticleSystem.optionsSchema). an entry has
+ *   type - 'number', 'integer', 'boolean', 'string', 'color', 'vector' ({ x, y }), 'array',
+ *     'function', 'object' or 'any', or an array of them when several are accepted
+ *   min / max - range of numbers, also for the numbers in an array
+ *   values - the strings an option can be
+ *   items - type of the entries of an array
+ *   nullable - whether null is accepted
+ */
+const OPTIONS_SCHEMA = {
+    //simulation
+    particleCount: { type: 'integer', min: 0 },
+    radius: { type: ['number', 'array', 'function'], items: 'number', min: 0 },
+    particleMass: { type: ['number', 'array', 'function'], items: 'number', min: 0.0001 },
+    spawnVelocity: { type: 'number', min: 0 },
+    speed: { type: 'number', min: 0.01, max: 100 },
+    seed: { type: 'integer', nullable: true },
+    particleDensity: { type: 'number', min: 0, nullable: true },
+
+    //sizing
+    sizeTo: { type: 'string', values: ['canvas', 'parent'] },
+    resizeStrategy: { type: 'string', values: ['scale', 'keep', 'respawn-outside'] },
+
+    //visibility and motion
+    pauseWhenOffscreen: { type: 'boolean' },
+    maxFPS: { type: 'number', min: 1, nullable: true },
+    reducedMotion: { type: 'string', values: ['static', 'slow', 'ignore'] },
+    reducedMotionSpeed: { type: 'number', min: 0, max: 1 },
+
+    //connections
+    maxConnectionDistance: { type: 'number', min: 0 },
+    fadeStartDistance: { type: 'number', min: 0 },
+    opacityStep: { type: 'number', min: 0, max: 1 },
+    connectionHysteresis: { type: 'number', min: 0, max: 1 },
+    connectionStyle: { type: 'string', values: ['line', 'gradient', 'curve', 'triangles'] },
+    connectionColor: { type: ['color', 'function'], nullable: true },
+    connectionWidth: { type: ['number', 'array'], items: 'number', min: 0 },
+    connectionCurvature: { type: 'number', min: -1, max: 1 },
+    triangleOpacity: { type: 'number', min: 0, max: 1 },
+
+    //rendering
+    backgroundColor: { type: 'color' },
+    particleColor: { type: ['color', 'array', 'function'], items: 'color' },
+    particleAlpha: { type: ['number', 'array', 'function'], items: 'number', min: 0, max: 1 },
+    particleShape: { type: 'any' },
+    particleFill: { type: 'boolean' },
+    rotateWithVelocity: { type: 'boolean' },
+    enableConnections: { type: 'boolean' },
+    enablePersistence: { type: 'boolean' },
+    enableTrails: { type: 'boolean' },
+    connectionTrailDuration: { type: 'number', min: 0 },
+
+    //performance
+    enableSpatialPartitioning: { type: 'boolean' },
+    gridSize: { type: 'integer', min: 1 },
+    enableObjectPooling: { type: 'boolean' },
+    enableAdaptiveLOD: { type: 'boolean' },
+    enableBatchRendering: { type: 'boolean' },
+    renderer: { type: 'string', values: ['2d', 'webgl', 'none'] },
+    environment: { type: 'object', nullable: true },
+    maxConnectionsPerParticle: { type: 'integer', min: 0 },
+    performanceThreshold: { type: 'number', min: 0 },
+    lodConnectionReduction: { type: 'number', min: 0, max: 1 },
+    optionValidation: { type: 'string', values: ['warn', 'strict', 'off'] },
+
+    //mouse interaction
+    enableMouseRepel: { type: 'boolean' },
+    mouseRepelRadius: { type: 'number', min: 0 },
+    mouseRepelStrength: { type: 'number' },
+    touchRepelLinger: { type: 'number', min: 0 },
+
+    //picking and dragging
+    pickRadius: { type: 'number', min: 0 },
+    enableDrag: { type: 'boolean' },
+    dragRadius: { type: 'number', min: 0 },
+    clickTolerance: { type: 'number', min: 0 },
+
+    //physics
+    enableAdvancedPhysics: { type: 'boolean' },
+    damping: { type: 'number', min: 0, max: 1 },
+    gravity: { type: 'vector' },
+
+    //boundaries
+    boundaryMode: { type: 'string', values: ['bounce', 'wrap', 'absorb', 'open'] },
+    restitution: { type: 'number', min: 0 },
+    boundaryMargin: { type: 'number', min: 0 },
+
+    //particle lifetimes
+    lifetimeFade: { type: 'boolean' },
+    lifetimeShrink: { type: 'boolean' },
+
+    //constraint solver
+    enableCollisions: { type: 'boolean' },
+    collisionRadius: { type: 'number', min: 0, nullable: true },
+    solverIterations: { type: 'integer', min: 0 },
+    renderConstraints: { type: 'boolean' },
+
+    //graph layout
+    edgeLength: { type: 'number', min: 0 },
+    edgeStrength: { type: 'number', min: 0 },
+    chargeStrength: { type: 'number' },
+    chargeRadius: { type: 'number', min: 0 },
+    centerStrength: { type: 'number', min: 0 },
+    nodeDamping: { type: 'number', min: 0, max: 1 },
+
+    //initParticles only
+    worker: { type: 'boolean' },
+    workerUrl: { type: 'string', nullable: true }
+};
+for (const entry of Object.values(OPTIONS_SCHEMA)) {
+    if (Array.isArray(entry.type)) Object.freeze(entry.type);
+    if (entry.values) Object.freeze(entry.values);
+    Object.freeze(entry);
+}
+Object.freeze(OPTIONS_SCHEMA);
+
+//rules between options, checked whenever one of them changes. fix returns the options that repair it
+const OPTION_RULES = [
+    {
+        options: ['fadeStartDistance', 'maxConnectionDistance'],
+        message: 'fadeStartDistance has to be at most maxConnectionDistance, connections can only fade out before they end',
+        check: opts => opts.fadeStartDistance <= opts.maxConnectionDistance,
+        fix: opts => ({ fadeStartDistance: opts.maxConnectionDistance })
+    }
+];
+
+/**
+ * thrown for invalid options with optionValidation: 'strict'
+ */
+class OptionError extends Error {
+    /**
+     * @param {string} message - what is wrong
+     * @param {string} option - name of the option
+     * @param {*} value - the value it was given
+     */
+    constructor(message, option, value) {
+        super(message);
+        this.name = 'OptionError';
+        this.option = option;
+        this.value = value;
+    }
+}
+
+//problems that were warned about already, each is only reported once
+const reportedOptionProblems = new Set();
+
+/**
+ * checks options against OPTIONS_SCHEMA and OPTION_RULES. with optionValidation 'warn' numbers
+ * out of range are clamped, whole number options rounded and other invalid values left out
+ * (the option keeps its value), each with a console warning. 'strict' throws an OptionError
+ * instead and 'off' passes everything through unchecked
+ * 
+ * @param {Object} options - options to check
+ * @param {Object} current - options they are merged into, for the mode and the rules
+ * @returns {Object} the options to merge
+ */
+function validateOptions(options, current) {
+    const mode = options.optionValidation !== undefined ? options.optionValidation : current.optionValidation;
+    if (mode === 'off') return options;
+    const strict = mode === 'strict';
+
+    const result = {};
+    for (const key of Object.keys(options)) {
+        const schema = OPTIONS_SCHEMA[key];
+        if (!schema) {
+            //unknown options are kept, they just don't do anything
+            const suggestion = findSimilarOptionName(key);
+            reportOptionProblem(strict, key, options[key],
+                `Unknown option '${key}'` + (suggestion ? `, did you mean '${suggestion}'?` : ''));
+            result[key] = options[key];
+            continue;
+        }
+
+        const { value, problem, valid, resolution: fix } = checkOptionValue(key, options[key], schema);
+        if (problem) {
+            const resolution = fix || (valid ?
+                `using ${describeOptionValue(value)}` :
+                `keeping ${describeOptionValue(current[key])}`);
+            reportOptionProblem(strict, key, options[key], problem, resolution);
+        }
+        if (valid) result[key] = value;
+    }
+
+    //rules between options see them as they will be after the merge
+    for (const rule of OPTION_RULES) {
+        if (!rule.options.some(key => key in result)) continue;
+        const merged = { ...current, ...result };
+        if (rule.check(merged)) continue;
+        const fix = rule.fix(merged);
+        const resolution = 'using ' + Object.entries(fix).map(([key, value]) => `${key} ${describeOptionValue(value)}`).join(', ');
+        reportOptionProblem(strict, rule.options[0], merged[rule.options[0]], rule.message, resolution);
+        Object.assign(result, fix);
+    }
+    return result;
+}
+
+/**
+ * @param {string} key - option name
+ * @param {*} value - value to check
+ * @param {Object} schema - the option's OPTIONS_SCHEMA entry
+ * @returns {Object} { value, valid, problem, resolution }, value is clamped / rounded when that fixes it
+ */
+function checkOptionValue(key, value, schema) {
+    if (value === undefined || (value === null && schema.nullable)) {
+        return { value, valid: true, problem: null };
+    }
+
+    const types = [].concat(schema.type);
+    const type = types.find(candidate => matchesOptionType(candidate, value));
+    if (!type) {
+        const expected = types.map(candidate => OPTION_TYPE_NAMES[candidate]).concat(schema.nullable ? ['null'] : []);
+        return { value, valid: false, problem: `Option '${key}' expects ${expected.join(' or ')}, got ${describeOptionValue(value)}` };
+    }
+
+    //every renderer draws parsed colors, one that can't be parsed still works but comes out white
+    const colors = type === 'color' ? [value] : type === 'array' && schema.items === 'color' ? value : [];
+    const unsupported = colors.find(color => typeof color === 'string' && !isColorString(color));
+    if (unsupported !== undefined) {
+        return {
+            value,
+            valid: true,
+            problem: `Option '${key}' has a color that can't be parsed, ${JSON.stringify(unsupported)}`,
+            resolution: 'it is drawn white'
+        };
+    }
+
+    if (schema.values && !schema.values.includes(value)) {
+        return {
+            value,
+            valid: false,
+            problem: `Option '${key}' has to be one of ${schema.values.map(item => `'${item}'`).join(', ')}, got ${describeOptionValue(value)}`
+        };
+    }
+
+    if (type === 'array') {
+        if (schema.items && !value.every(item => matchesOptionType(schema.items, item))) {
+            return { value, valid: false, problem: `Option '${key}' expects an array of ${schema.items} values, got ${describeOptionValue(value)}` };
+        }
+        const clamped = value.map(item => typeof item === 'number' ? clampOptionNumber(item, schema) : item);
+        const changed = clamped.some((item, i) => item !== value[i]);
+        return {
+            value: changed ? clamped : value,
+            valid: true,
+            problem: changed ? `Option '${key}' has values outside ${describeOptionRange(schema)}` : null
+        };
+    }
+
+    if (type === 'number' || type === 'integer') {
+        const rounded = type === 'integer' ? Math.round(value) : value;
+        const clamped = clampOptionNumber(rounded, schema);
+        if (clamped === value) return { value, valid: true, problem: null };
+        const problem = clamped !== rounded ?
+            `Option '${key}' is ${value}, outside ${describeOptionRange(schema)}` :
+            `Option '${key}' takes whole numbers, got ${value}`;
+        return { value: clamped, valid: true, problem };
+    }
+
+    return { value, valid: true, problem: null };
+}
+
+//whether a value is of one of the schema types
+function matchesOptionType(type, value) {
+    switch (type) {
+        case 'number':
+        case 'integer': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        case 'color': return typeof value === 'string';
+        case 'vector': return isPlainObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+        case 'array': return Array.isArray(value);
+        case 'function': return typeof value === 'function';
+        case 'object': return value !== null && typeof value === 'object';
+        default: return true;
+    }
+}
+
+function clampOptionNumber(value, schema) {
+    if (schema.min !== undefined && value < schema.min) return schema.min;
+    if (schema.max !== undefined && value > schema.max) return schema.max;
+    return value;
+}
+
+function describeOptionRange(schema) {
+    if (schema.max === undefined) return `the minimum of ${schema.min}`;
+    if (schema.min === undefined) return `the maximum of ${schema.max}`;
+    return `${schema.min} to ${schema.max}`;
+}
+
+//readable names of the schema types for messages
+const OPTION_TYPE_NAMES = {
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    string: 'a string',
+    color: 'a color',
+    vector: 'an { x, y } vector',
+    array: 'an array',
+    function: 'a function',
+    object: 'an object',
+    any: 'anything'
+};
+
+function describeOptionValue(value) {
+    if (typeof value === 'function') return 'a function';
+    if (value === undefined) return 'undefined';
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return 'an object'; //e.g. circular
+    }
+}
+
+/**
+ * throws in strict mode, warns once otherwise
+ * @param {boolean} strict - throw instead of warning
+ * @param {string} option - name of the option
+ * @param {*} value - the value it was given
+ * @param {string} message - what is wrong
+ * @param {string} resolution - what is done about it instead of throwing
+ */
+function reportOptionProblem(strict, option, value, message, resolution) {
+    if (strict) {
+        throw new OptionError(message, option, value);
+    }
+    if (reportedOptionProblems.has(message)) return;
+    reportedOptionProblems.add(message);
+    console.warn(`webs.js: ${message}` + (resolution ? `, ${resolution}` : ''));
+}
+
+//closest known option name for a typo, within a few edits
+function findSimilarOptionName(key) {
+    let best = null;
+    let bestDistance = 3;
+    for (const name of Object.keys(OPTIONS_SCHEMA)) {
+        const distance = editDistance(key.toLowerCase(), name.toLowerCase());
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+//levenshtein distance between two strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(
+                previous[j] + 1,
+                row[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+//#endregion
+
+//#region Colors
+
+//CSS named colors, name:rrggbb pairs unpacked on first use
+const CSS_NAMED_COLOR_LIST = 'aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,' +
+    'beige:f5f5dc,bisque:ffe4c4,black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,' +
+    'burlywood:deb887,cadetblue:5f9ea0,chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,cornflowerblue:6495ed,' +
+    'cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,darkblue:00008b,darkcyan:008b8b,darkgoldenrod:b8860b,' +
+    'darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,darkkhaki:bdb76b,darkmagenta:8b008b,darkolivegreen:556b2f,' +
+    'darkorange:ff8c00,darkorchid:9932cc,darkred:8b0000,darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,' +
+    'darkslategray:2f4f4f,darkslategrey:2f4f4f,darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,' +
+    'deepskyblue:00bfff,dimgray:696969,dimgrey:696969,dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,' +
+    'forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700,goldenrod:daa520,gray:808080,' +
+    'green:008000,greenyellow:adff2f,grey:808080,honeydew:f0fff0,hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,' +
+    'ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,' +
+    'lightblue:add8e6,lightcoral:f08080,lightcyan:e0ffff,lightgoldenrodyellow:fafad2,lightgray:d3d3d3,' +
+    'lightgreen:90ee90,lightgrey:d3d3d3,lightpink:ffb6c1,lightsalmon:ffa07a,lightseagreen:20b2aa,' +
+    'lightskyblue:87cefa,lightslategray:778899,lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0,' +
+    'lime:00ff00,limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,mediumaquamarine:66cdaa,' +
+    'mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,mediumslateblue:7b68ee,' +
+    'mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,midnightblue:191970,mintcream:f5fffa,' +
+    'mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,navy:000080,oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,' +
+    'orange:ffa500,orangered:ff4500,orchid:da70d6,palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee,' +
+    'palevioletred:db7093,papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,pink:ffc0cb,plum:dda0dd,' +
+    'powderblue:b0e0e6,purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1,' +
+    'saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,sienna:a0522d,' +
+    'silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,snow:fffafa,' +
+    'springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,tomato:ff6347,turquoise:40e0d0,' +
+    'violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,yellow:ffff00,yellowgreen:9acd32';
+let cssNamedColors = null;
+
+//linear light to XYZ (D65) matrices of the RGB spaces color() takes, and back to linear sRGB
+const LINEAR_SRGB_TO_XYZ = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+const LINEAR_DISPLAY_P3_TO_XYZ = [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+];
+const LINEAR_A98_RGB_TO_XYZ = [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+];
+const LINEAR_REC2020_TO_XYZ = [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791]
+];
+//prophoto-rgb is relative to D50, like lab() / lch()
+const LINEAR_PROPHOTO_TO_XYZ_D50 = [
+    [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+    [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+    [0, 0, 0.8251046025104601]
+];
+const XYZ_D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+const XYZ_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+//colors that couldn't be parsed, the same fallback as always
+const WHITE = Object.freeze({ r: 255, g: 255, b: 255, a: 1, css: 'rgba(255, 255, 255, 1)' });
+
+/**
+ * parses a CSS color and returns its RGB values and alpha. unparseable colors come back white
+ *
+ * @param {string} colorString - any CSS Color 4 color, see parseCssColor
+ * @param {Element} element - element to resolve var() and currentcolor against
+ * @returns {Object} { r, g, b } (0-255), a (0-1) and css, an rgba() string the 2d context takes
+ */
+function parseColor(colorString, element) {
+    return parseCssColor(colorString, element) || WHITE;
+}
+
+/**
+ * parses a CSS Color 4 color: hex (#rgb, #rgba, #rrggbb, #rrggbbaa), named colors, transparent,
+ * rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch() and color() in both the comma and the
+ * space separated syntax. var(--x) and currentcolor are looked up in the computed style of the
+ * element (or the document), colors outside sRGB are clipped to it
+ *
+ * @param {string} colorString - the color
+ * @param {Element} element - element to resolve var() and currentcolor against
+ * @returns {Object|null} { r, g, b, a, css }, or null when it isn't a color
+ */
+function parseCssColor(colorString, element) {
+    if (typeof colorString !== 'string') return null;
+    let value = colorString.trim();
+    //custom property names are case-sensitive, only the resolved color is lowercased
+    if (/var\(/i.test(value)) {
+        value = resolveCssVariables(value, element);
+        if (value === null) return null;
+    }
+    value = value.toLowerCase();
+    if (value === 'currentcolor') {
+        const style = getComputedCssStyle(element);
+        return style && style.color ? parseCssColor(style.color) : null;
+    }
+
+    const rgba = parseCssColorValue(value);
+    if (!rgba) return null;
+    const [r, g, b, a] = rgba.map((channel, i) => i < 3 ?
+        Math.round(Math.max(0, Math.min(1, channel)) * 255) :
+        Math.max(0, Math.min(1, channel)));
+    return { r, g, b, a, css: `rgba(${r}, ${g}, ${b}, ${a})` };
+}
+
+//[r, g, b, a] with gamma encoded sRGB channels from 0 to 1, unclipped, or null
+function parseCssColorValue(value) {
+    if (value === 'transparent') return [0, 0, 0, 0];
+    if (value.startsWith('#')) return parseHexColor(value.slice(1));
+
+    const call = /^([a-z0-9-]+)\((.*)\)$/.exec(value);
+    if (!call) {
+        if (!cssNamedColors) {
+            cssNamedColors = new Map(CSS_NAMED_COLOR_LIST.split(',').map(pair => pair.split(':')));
+        }
+        const hex = cssNamedColors.get(value);
+        return hex ? parseHexColor(hex) : null;
+    }
+
+    const name = call[1];
+    const args = parseColorArguments(call[2]);
+    if (!args) return null;
+    const { channels, alpha } = args;
+    const a = alpha === undefined ? 1 : colorNumber(alpha, 1, 1);
+    if (a === null) return null;
+    if (name === 'color') return parseColorFunction(channels, a);
+    if (channels.length !== 3) return null;
+
+    switch (name) {
+        case 'rgb':
+        case 'rgba': {
+            const rgb = channels.map(channel => colorNumber(channel, 255, 255));
+            return rgb.includes(null) ? null : [rgb[0] / 255, rgb[1] / 255, rgb[2] / 255, a];
+        }
+        case 'hsl':
+        case 'hsla': {
+            const h = colorHue(channels[0]);
+            const s = colorNumber(channels[1], 100, 100);
+            const l = colorNumber(channels[2], 100, 100);
+            return h === null || s === null || l === null ? null : [...hslToRgb(h, s / 100, l / 100), a];
+        }
+        case 'hwb': {
+            const h = colorHue(channels[0]);
+            const w = colorNumber(channels[1], 100, 100);
+            const bl = colorNumber(channels[2], 100, 100);
+            if (h === null || w === null || bl === null) return null;
+            const white = w / 100;
+            const black = bl / 100;
+            if (white + black >= 1) {
+                const gray = white / (white + black);
+                return [gray, gray, gray, a];
+            }
+            return [...hslToRgb(h, 1, 0.5).map(channel => channel * (1 - white - black) + white), a];
+        }
+        case 'lab':
+        case 'lch':
+        case 'oklab':
+        case 'oklch': {
+            const ok = name.startsWith('ok');
+            const lightness = colorNumber(channels[0], ok ? 1 : 100, ok ? 1 : 100);
+            if (lightness === null) return null;
+            let labA;
+            let labB;
+            if (name.endsWith('lab')) {
+                labA = colorNumber(channels[1], ok ? 0.4 : 125);
+                labB = colorNumber(channels[2], ok ? 0.4 : 125);
+            } else {
+                const chroma = colorNumber(channels[1], ok ? 0.4 : 150);
+                const hue = colorHue(channels[2]);
+                if (chroma === null || hue === null) return null;
+                labA = chroma * Math.cos(hue * Math.PI / 180);
+                labB = chroma * Math.sin(hue * Math.PI / 180);
+            }
+            if (labA === null || labB === null) return null;
+            const linear = ok ? oklabToLinearSrgb(lightness, labA, labB) : xyzToLinearSrgb(labToXyzD50(lightness, labA, labB), true);
+            return [...linear.map(encodeSrgb), a];
+        }
+        default:
+            return null;
+    }
+}
+
+//hex digits without the #, 3, 4, 6 or 8 of them
+function parseHexColor(hex) {
+    if (!/^([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(hex)) return null;
+    const digits = hex.length <= 4 ? hex.split('').map(digit => digit + digit) : hex.match(/../g);
+    const channels = digits.map(pair => parseInt(pair, 16) / 255);
+    return channels.length === 4 ? channels : [...channels, 1];
+}
+
+/**
+ * splits the arguments of a color function, both 'rgb(1, 2, 3, 0.5)' and 'rgb(1 2 3 / 50%)'
+ * @param {string} text - everything between the parentheses
+ * @returns {Object|null} { channels, alpha } as tokens, or null
+ */
+function parseColorArguments(text) {
+    const [main, alpha, extra] = text.split('/');
+    if (extra !== undefined) return null;
+    const commas = main.includes(',');
+    let channels = commas ? main.split(',').map(part => part.trim()) : main.trim().split(/\s+/);
+    if (channels.some(part => part === '')) return null;
+    //legacy rgba(r, g, b, a)
+    if (commas && channels.length === 4 && alpha === undefined) {
+        return { channels: channels.slice(0, 3), alpha: channels[3] };
+    }
+    if (alpha !== undefined) {
+        const alphaToken = alpha.trim();
+        if (!alphaToken || /\s|,/.test(alphaToken)) return null;
+        return { channels, alpha: alphaToken };
+    }
+    return { channels, alpha: undefined };
+}
+
+/**
+ * @param {string} token - a number, percentage or 'none'
+ * @param {number} percentScale - what 100% is
+ * @param {number} max - clip to 0..max (rgb, hsl percentages), unclipped when left out
+ * @returns {number|null}
+ */
+function colorNumber(token, percentScale, max) {
+    if (token === 'none') return 0;
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/.exec(token);
+    if (!match) return null;
+    const number = match[2] ? parseFloat(match[1]) / 100 * percentScale : parseFloat(match[1]);
+    return max === undefined ? number : Math.max(0, Math.min(max, number));
+}
+
+//hue in degrees from a number or an angle (deg, rad, grad, turn)
+function colorHue(token) {
+    if (token === 'none') return 0;
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/.exec(token);
+    if (!match) return null;
+    const scale = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 }[match[2] || 'deg'];
+    return ((parseFloat(match[1]) * scale) % 360 + 360) % 360;
+}
+
+function hslToRgb(h, s, l) {
+    const channel = n => {
+        const k = (n + h / 30) % 12;
+        return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+//color(space c1 c2 c3), the predefined RGB and XYZ spaces of CSS Color 4
+function parseColorFunction(tokens, alpha) {
+    const [space, ...channels] = tokens;
+    if (channels.length !== 3) return null;
+    const values = channels.map(channel => colorNumber(channel, 1));
+    if (values.includes(null)) return null;
+
+    let linear;
+    switch (space) {
+        case 'srgb':
+            return [...values, alpha];
+        case 'srgb-linear':
+            linear = values;
+            break;
+        case 'display-p3':
+            linear = xyzToLinearSrgb(multiplyMatrix(LINEAR_DISPLAY_P3_TO_XYZ, values.map(decodeSrgb)));
+            break;
+        case 'a98-rgb':
+            linear = xyzToLinearSrgb(multiplyMatrix(LINEAR_A98_RGB_TO_XYZ,
+                values.map(v => Math.sign(v) * Math.abs(v) ** (563 / 256))));
+            break;
+        case 'prophoto-rgb':
+            linear = xyzToLinearSrgb(multiplyMatrix(LINEAR_PROPHOTO_TO_XYZ_D50,
+                values.map(v => Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.abs(v) ** 1.8)), true);
+            break;
+        case 'rec2020': {
+            const alpha2020 = 1.09929682680944;
+            const beta2020 = 0.018053968510807;
+            linear = xyzToLinearSrgb(multiplyMatrix(LINEAR_REC2020_TO_XYZ, values.map(v => Math.abs(v) < beta2020 * 4.5 ?
+                v / 4.5 :
+                Math.sign(v) * ((Math.abs(v) + alpha2020 - 1) / alpha2020) ** (1 / 0.45))));
+            break;
+        }
+        case 'xyz':
+        case 'xyz-d65':
+            linear = xyzToLinearSrgb(values);
+            break;
+        case 'xyz-d50':
+            linear = xyzToLinearSrgb(values, true);
+            break;
+        default:
+            return null;
+    }
+    return [...linear.map(encodeSrgb), alpha];
+}
+
+function multiplyMatrix(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+//XYZ (D65, or D50 adapted with Bradford) to linear sRGB
+function xyzToLinearSrgb(xyz, d50) {
+    return multiplyMatrix(XYZ_TO_LINEAR_SRGB, d50 ? multiplyMatrix(XYZ_D50_TO_D65, xyz) : xyz);
+}
+
+//CIE lab to XYZ relative to D50
+function labToXyzD50(lightness, a, b) {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const fy = (lightness + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+    const x = fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa;
+    const y = lightness > kappa * epsilon ? fy ** 3 : lightness / kappa;
+    const z = fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa;
+    return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+}
+
+//OKLab straight to linear sRGB (Björn Ottosson's matrices)
+function oklabToLinearSrgb(lightness, a, b) {
+    const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+//sRGB transfer function, linear light to gamma encoded and back
+function encodeSrgb(value) {
+    const magnitude = Math.abs(value);
+    return magnitude <= 0.0031308 ? value * 12.92 : Math.sign(value) * (1.055 * magnitude ** (1 / 2.4) - 0.055);
+}
+
+function decodeSrgb(value) {
+    const magnitude = Math.abs(value);
+    return magnitude <= 0.04045 ? value / 12.92 : Math.sign(value) * ((magnitude + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * replaces var(--name, fallback) with the custom property's value from the computed style.
+ * without a DOM only the fallbacks can be used
+ *
+ * @param {string} value - text with var() references
+ * @param {Element} element - element whose computed style holds the properties
+ * @returns {string|null} the text with every reference resolved, or null
+ */
+function resolveCssVariables(value, element) {
+    const style = getComputedCssStyle(element);
+    const reference = /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/i;
+    //values can refer to other variables, a few levels are enough
+    for (let depth = 0; depth < 16 && reference.test(value); depth++) {
+        const match = reference.exec(value);
+        if (!match) return null;
+        const property = style ? style.getPropertyValue(match[1]).trim() : '';
+        const replacement = property || (match[2] !== undefined ? match[2].trim() : '');
+        if (!replacement) return null;
+        value = value.slice(0, match.index) + replacement + value.slice(match.index + match[0].length);
+    }
+    return /var\(/i.test(value) ? null : value;
+}
+
+//computed style of the element (or the root element), null without a DOM
+function getComputedCssStyle(element) {
+    if (typeof getComputedStyle !== 'function' || typeof document === 'undefined') return null;
+    const target = element && element.isConnected ? element : document.documentElement;
+    return target ? getComputedStyle(target) : null;
+}
+
+//color presets for setTheme(), any option can be part of a theme
+const THEMES = {
+    classic: { backgroundColor: '#5a5b62', particleColor: '#ffffff', connectionColor: null },
+    light: { backgroundColor: '#f4f5f7', particleColor: '#3d4451', connectionColor: null },
+    dark: { backgroundColor: '#121318', particleColor: '#d7dae0', connectionColor: null },
+    midnight: { backgroundColor: '#0b1026', particleColor: ['#7aa2ff', '#b4c6ff', '#ffffff'], connectionColor: '#7aa2ff' },
+    ocean: { backgroundColor: '#022b3a', particleColor: ['#1f7a8c', '#bfdbf7', '#e1e5f2'], connectionColor: '#1f7a8c' },
+    sunset: { backgroundColor: '#2d1b33', particleColor: ['#ff7b54', '#ffb26b', '#ffd56b'], connectionColor: '#ff7b54' },
+    forest: { backgroundColor: '#10261c', particleColor: ['#6ab187', '#a3d9a5', '#e3f2c1'], connectionColor: null },
+    neon: { backgroundColor: '#0d0221', particleColor: ['#ff2a6d', '#05d9e8', '#d1f7ff'], connectionColor: null }
+};
+
+//media query for the color scheme preference, see setTheme()
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+//whether a theme picks its options by color scheme, 'auto' or { light, dark }
+function followsColorScheme(theme) {
+    return theme === 'auto' || (isPlainObject(theme) && (theme.light !== undefined || theme.dark !== undefined));
+}
+
+//#endregion
+
+//#region Helpers
+
+//events that can be passed to ParticleSystem.on()
+const SYSTEM_EVENTS = [
+    'beforeUpdate', 'afterUpdate', 'beforeRender', 'afterRender',
+    'particleAdded', 'particleRemoved', 'lodChange',
+    'connectionFormed', 'connectionBroken', 'resize',
+    'particleClick', 'particleEnter', 'particleLeave'
+];
+
+//default parameters for each built in force field type
+const FORCE_FIELD_DEFAULTS = {
+    attractor: { x: 0, y: 0, strength: 0.05, radius: Infinity, falloff: 'none' },
+    repulsor: { x: 0, y: 0, strength: 0.5, radius: 100, falloff: 'linear' },
+    vortex: { x: 0, y: 0, strength: 0.1, radius: 200, falloff: 'linear', clockwise: true, pull: 0 },
+    wind: { force: { x: 1, y: 0 }, strength: 0.02 },
+    flow: { strength: 0.03, scale: 0.005, timeScale: 0.0002, turbulence: 2 },
+    custom: {}
+};
+
+//particle attributes and the options they default to
+const PARTICLE_ATTRIBUTE_OPTIONS = [
+    ['color', 'particleColor'],
+    ['radius', 'radius'],
+    ['mass', 'particleMass'],
+    ['alpha', 'particleAlpha'],
+    ['shape', 'particleShape']
+];
+
+/**
+ * Connections picked by each particle index in a frame, kept by particle id so the next frame
+ * can tell which links already existed even after particles were removed and indices moved
+ * @param {number} capacity - particle indices to hold
+ * @param {number} slots - picks per particle (maxConnectionsPerParticle)
+ */
+function createLinkMemory(capacity, slots) {
+    return {
+        slots,
+        owners: new Float64Array(capacity).fill(-1), //id of the particle at each index when it was stored
+        partners: new Float64Array(capacity * slots), //ids of its picks
+        counts: new Int32Array(capacity)
+    };
+}
+
+//whether the particle at `index` (if it is still `ownerId`) picked `partnerId`
+function linkMemoryHas(memory, index, ownerId, partnerId) {
+    if (index >= memory.owners.length || memory.owners[index] !== ownerId) return false;
+    const base = index * memory.slots;
+    for (let s = 0; s < memory.counts[index]; s++) {
+        if (memory.partners[base + s] === partnerId) return true;
+    }
+    return false;
+}
+
+//pieces a gradient connection is split into by the batched 2d renderer
+const GRADIENT_SEGMENTS = 4;
+//straight pieces a curved connection is split into by the WebGL renderer
+const CURVE_SEGMENTS = 8;
+
+//a connection as collected for rendering, see ParticleSystem.styleConnectionLine
+function createConnectionLine() {
+    return {
+        x1: 0, y1: 0, x2: 0, y2: 0,
+        alpha: 0, color: null, endColor: null, width: 1,
+        curved: false, cx: 0, cy: 0 //quadratic control point of curves
+    };
+}
+
+//default settings for particle emitters
+const EMITTER_DEFAULTS = {
+    x: 0,
+    y: 0,
+    shape: 'point',
+    radius: 20,
+    width: 100,
+    height: 100,
+    x2: 0,
+    y2: 0,
+    rate: 20,
+    burst: 0,
+    lifetime: 2000,
+    velocity: 1,
+    direction: -Math.PI / 2,
+    spread: Math.PI * 2,
+    maxParticles: Infinity,
+    duration: Infinity,
+    attributes: null,
+    enabled: true
+};
+
+//default settings for formShape
+const FORMATION_DEFAULTS = {
+    duration: 1500, //ms for the targets to glide from the particles into the shape
+    easing: 'easeInOutCubic', //name from EASINGS or a function(t) => t
+    bounds: null, //{ x, y, width, height } to fit the shape into, the middle 80% of the canvas when null
+    font: 'bold 100px sans-serif', //font for text, scaled to the bounds
+    outline: null, //trace outlines instead of filling. null fills text and traces paths
+    lineWidth: 3, //outline width in canvas px
+    sample: 'alpha', //which pixels belong to the shape: 'alpha', 'luminance' (bright) or 'darkness' (dark)
+    threshold: 0.5, //coverage from which a pixel counts
+    spacing: 0, //px between sampled points, 0 fits about one point per particle
+    strength: 0.1, //spring pull towards the target, a displacement per step like the force fields
+    damping: 0.25 //fraction of the velocity removed per step, lets the shape settle
+};
+
+//easing functions for formShape and option transitions, t runs from 0 to 1
+const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - (1 - t) ** 3,
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - 4 * (1 - t) ** 3,
+    easeOutBack: t => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2
+};
+
+//looks up an easing by name, functions are used as they are
+function resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    if (!EASINGS[easing]) {
+        throw new Error(`Unknown easing: ${easing}`);
+    }
+    return EASINGS[easing];
+}
+
+//default settings for animateOptions and timeline keyframes
+const OPTION_TRANSITION_DEFAULTS = {
+    duration: 1000, //ms of simulation time
+    easing: 'easeInOutQuad' //name from EASINGS or a function(t)
+};
+
+//numbers that mean nothing in between, they switch like non-numbers
+const STEPPED_OPTIONS = new Set(['seed']);
+
+/**
+ * builds the in-between values of an option, or null when it can't be interpolated
+ * and has to switch instead
+ * 
+ * @param {string} key - option name
+ * @param {*} from - value at the start
+ * @param {*} to - value at the end
+ * @returns {Function|null} function(t) returning the value t of the way from `from` to `to`
+ */
+function createOptionInterpolator(key, from, to, parse = parseColor) {
+    if (STEPPED_OPTIONS.has(key)) return null;
+    //whole number options (see OPTIONS_SCHEMA) are rounded while they change
+    const round = Boolean(OPTIONS_SCHEMA[key]) && OPTIONS_SCHEMA[key].type === 'integer';
+    return createValueInterpolator(from, to, round, parse);
+}
+
+//numbers, colors and arrays / plain objects of them (palettes, [near, far], gravity)
+function createValueInterpolator(from, to, round, parse) {
+    if (typeof from === 'number' && typeof to === 'number') {
+        return round ? t => Math.round(from + (to - from) * t) : t => from + (to - from) * t;
+    }
+    if (isColorString(from) && isColorString(to)) {
+        const start = parse(from);
+        const end = parse(to);
+        return t => toHexColor(
+            start.r + (end.r - start.r) * t,
+            start.g + (end.g - start.g) * t,
+            start.b + (end.b - start.b) * t,
+            start.a + (end.a - start.a) * t
         );
     }
-    //#endregion
+    if (Array.isArray(from) && Array.isArray(to)) {
+        if (from.length !== to.length) return null;
+        const parts = from.map((value, i) => createValueInterpolator(value, to[i], round, parse));
+        return parts.every(Boolean) ? t => parts.map(part => part(t)) : null;
+    }
+    if (isPlainObject(from) && isPlainObject(to)) {
+        const keys = Object.keys(from);
+        if (keys.length !== Object.keys(to).length || !keys.every(key => key in to)) return null;
+        const parts = keys.map(key => [key, createValueInterpolator(from[key], to[key], round, parse)]);
+        if (!parts.every(([, part]) => part)) return null;
+        return t => {
+            const value = {};
+            for (const [key, part] of parts) value[key] = part(t);
+            return value;
+        };
+    }
+    return null;
+}
+
+//whether two option values are the same, arrays and plain objects (palettes, gravity) by their entries
+function isSameOptionValue(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isSameOptionValue(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isSameOptionValue(a[key], b[key]));
+    }
+    return false;
+}
+
+//colors parseColor understands, other strings aren't interpolated. var() and currentcolor
+//depend on where the canvas is, they count as colors
+function isColorString(value) {
+    if (typeof value !== 'string') return false;
+    return /var\(|^\s*currentcolor\s*$/i.test(value) || parseCssColor(value) !== null;
+}
+
+//object literals like gravity, not arrays, images or class instances
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]' &&
+        (Object.getPrototypeOf(value) === null || Object.getPrototypeOf(Object.getPrototypeOf(value)) === null);
+}
+
+//rounds channels to a hex color, so a transition only ever creates a few hundred distinct colors to cache
+function toHexColor(r, g, b, a = 1) {
+    const channel = value => Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, '0');
+    return '#' + channel(r) + channel(g) + channel(b) + (a < 1 ? channel(a * 255) : '');
+}
 
+/**
+ * picks a random value from a [min, max] range, plain numbers are returned as is
+ * 
+ * @param {number|number[]} value - a number or a [min, max] range
+ * @param {Function} random - random number source in [0, 1)
+ * @returns {number} the value, or a random value within the range
+ */
+function randomInRange(value, random = Math.random) {
+    if (Array.isArray(value)) {
+        return value[0] + random() * (value[1] - value[0]);
+    }
+    return value;
 }
 
-//#region Helpers and UMD export
+/**
+ * small seeded PRNG (mulberry32), a drop-in for Math.random where results must be repeatable.
+ * getState / setState expose the internal state so snapshots can continue the sequence
+ * 
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} random() returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = () => state;
+    random.setState = (value) => { state = value >>> 0; };
+    return random;
+}
 
 /**
-* parses a color string and returns RGB values as an object.
-* supports hex and rgb format, returns white (255, 255, 255) as default
-* hex value to seperate r, g, and b method courtesy stackoverflow user Tim Down
-* https://stackoverflow.com/a/5624139 
-* 
-* @param {string} colorString - The color string to parse
-* @returns {Object} our color represented as RGB (0-255)
-*/
-function parseColor(colorString) {
-    //resolve our hex string to rgb
-    if (colorString.startsWith('#')) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(colorString);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : { r: 255, g: 255, b: 255 };
-    //parse our rgb string
-    } else if (colorString.startsWith('rgb')) {
-        const result = colorString.match(/\d+/g);
-        return result ? {
-            r: parseInt(result[0]),
-            g: parseInt(result[1]),
-            b: parseInt(result[2])
-        } : { r: 255, g: 255, b: 255 };
-    }
-    return { r: 255, g: 255, b: 255 };
+ * creates a 3D gradient noise function (Ken Perlin's improved noise).
+ * used by flow fields, the third dimension is time so the field evolves smoothly
+ * 
+ * @param {Function} random - random number source in [0, 1), used to shuffle the permutation table
+ * @returns {Function} noise(x, y, z) returning values in roughly [-1, 1]
+ */
+function createNoise3D(random) {
+    const permutation = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) permutation[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const temp = permutation[i];
+        permutation[i] = permutation[j];
+        permutation[j] = temp;
+    }
+    //doubled table avoids wrapping indices
+    const p = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) p[i] = permutation[i & 255];
+
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (t, a, b) => a + t * (b - a);
+    const grad = (hash, x, y, z) => {
+        const h = hash & 15;
+        const u = h < 8 ? x : y;
+        const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    };
+
+    return function noise(x, y, z) {
+        const X = Math.floor(x) & 255;
+        const Y = Math.floor(y) & 255;
+        const Z = Math.floor(z) & 255;
+        x -= Math.floor(x);
+        y -= Math.floor(y);
+        z -= Math.floor(z);
+        const u = fade(x);
+        const v = fade(y);
+        const w = fade(z);
+
+        const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
+        const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
+
+        return lerp(w,
+            lerp(v,
+                lerp(u, grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z)),
+                lerp(u, grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z))),
+            lerp(v,
+                lerp(u, grad(p[AA + 1], x, y, z - 1), grad(p[BA + 1], x - 1, y, z - 1)),
+                lerp(u, grad(p[AB + 1], x, y - 1, z - 1), grad(p[BB + 1], x - 1, y - 1, z - 1))));
+    };
 }
 
 
 /**
  * initializes a particle system with the given canvas and configuration options.
  * creates a ParticleSystem instance and returns an API object for controlling the animation.
+ * with `worker: true` the system runs in a web worker instead and every API method returns a Promise
  * 
  * @param {HTMLCanvasElement} canvas - The canvas element to render particles on
  * @param {Object} options - Configuration options for the particle system
  * @returns {Object} API object with methods to control the particle system
  */
 function initParticles(canvas, options = {}) {
+    if (options.worker) {
+        if (supportsWorkerMode(canvas, options)) {
+            return createWorkerParticles(canvas, options);
+        }
+        console.warn('webs.js: worker mode is not supported here, running on the main thread');
+    }
+
     const system = new ParticleSystem(canvas, options);
     
-    //initialize with default particles
-    system.setParticleCount(options.particleCount || 2000);
+    //initialize with default particles, or as many as the density asks for
+    system.setParticleCount(system.opts.particleDensity ?
+        system.getDensityParticleCount() :
+        options.particleCount || 2000);
     
+    return createParticlesApi(system);
+}
+
+/**
+ * builds the public API object around a ParticleSystem
+ * 
+ * @param {ParticleSystem} system - the system to control
+ * @returns {Object} API object with methods to control the particle system
+ */
+function createParticlesApi(system) {
     return {
         start: () => system.start(),
         stop: () => system.stop(),
         resize: () => system.resize(),
         destroy: () => system.destroy(),
         updateOptions: (opts) => system.updateOptions(opts),
-        addParticle: (x, y) => system.addParticle(x, y),
+        animateOptions: (opts, settings) => system.animateOptions(opts, settings),
+        addTimeline: (keyframes, settings) => system.addTimeline(keyframes, settings),
+        updateTimeline: (id, changes) => system.updateTimeline(id, changes),
+        removeTimeline: (id) => system.removeTimeline(id),
+        setTheme: (theme, settings) => system.setTheme(theme, settings),
+        refreshColors: () => system.refreshColors(),
+        addParticle: (x, y, attrs) => system.addParticle(x, y, attrs),
+        setParticleAttributes: (particle, attrs) => system.setParticleAttributes(particle, attrs),
         removeParticle: () => system.removeParticle(),
         setParticleCount: (count) => system.setParticleCount(count),
         getParticleCount: () => system.getParticleCount(),
         addRandomParticle: () => system.addRandomParticle(),
-        getStats: () => system.getStats()
+        getStats: () => system.getStats(),
+        addForce: (field) => system.addForce(field),
+        updateForce: (id, changes) => system.updateForce(id, changes),
+        removeForce: (id) => system.removeForce(id),
+        clearForces: () => system.clearForces(),
+        getForces: () => system.getForces(),
+        addConstraint: (a, b, restLength, stiffness) => system.addConstraint(a, b, restLength, stiffness),
+        removeConstraint: (id) => system.removeConstraint(id),
+        clearConstraints: () => system.clearConstraints(),
+        pinParticle: (particle, pinned) => system.pinParticle(particle, pinned),
+        addNode: (data, options) => system.addNode(data, options),
+        removeNode: (node) => system.removeNode(node),
+        addEdge: (a, b, options) => system.addEdge(a, b, options),
+        removeEdge: (id) => system.removeEdge(id),
+        clearEdges: () => system.clearEdges(),
+        formShape: (target, options) => system.formShape(target, options),
+        release: (options) => system.release(options),
+        addEmitter: (config) => system.addEmitter(config),
+        updateEmitter: (id, changes) => system.updateEmitter(id, changes),
+        burst: (id, count) => system.burst(id, count),
+        removeEmitter: (id) => system.removeEmitter(id),
+        clearEmitters: () => system.clearEmitters(),
+        step: (n, dt) => system.step(n, dt),
+        captureFrame: (type, quality) => system.captureFrame(type, quality),
+        record: (options) => system.record(options),
+        getParticleAt: (x, y, radius) => system.getParticleAt(x, y, radius),
+        queryRadius: (x, y, radius) => system.queryRadius(x, y, radius),
+        queryRect: (x, y, width, height) => system.queryRect(x, y, width, height),
+        on: (event, handler) => system.on(event, handler),
+        off: (event, handler) => system.off(event, handler),
+        getState: (format) => system.getState(format),
+        setState: (snapshot) => system.setState(snapshot)
+    };
+}
+
+/**
+ * schedules the next frame, falling back to a timer where requestAnimationFrame
+ * is missing (older workers, non-browser hosts)
+ * 
+ * @param {Function} callback - called with a timestamp in milliseconds
+ * @returns {*} handle for cancelFrame
+ */
+function scheduleFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), 1000 / 60);
+}
+
+function cancelFrame(handle) {
+    if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(handle);
+    } else {
+        clearTimeout(handle);
+    }
+}
+
+//#endregion
+
+//#region Environments
+
+//media query for the reduced motion preference, see opts.reducedMotion
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * true when the canvas lives in a document we can measure and listen to
+ * 
+ * @param {HTMLCanvasElement|OffscreenCanvas|null} canvas - the system's canvas
+ * @returns {boolean}
+ */
+function hasBrowserDOM(canvas) {
+    return typeof window !== 'undefined' && typeof document !== 'undefined' &&
+        !!canvas && typeof canvas.getBoundingClientRect === 'function';
+}
+
+/**
+ * environment adapter for a canvas in a web page. An environment connects a ParticleSystem
+ * to its host through:
+ *   getSize(canvas, sizeTo) - sizing source, { width, height } in CSS pixels and the dpr,
+ *     of the canvas or its parent depending on the sizeTo option
+ *   toCanvasPoint(canvas, event) - pointer event to canvas coordinates
+ *   listen(canvas, handlers, sizeTo) - event source, calls handlers.resize(), visibilityChange(hidden),
+ *     viewportChange(inView), reducedMotionChange(reduced), colorSchemeChange(dark), styleChange(),
+ *     pointerDown / pointerMove / pointerUp / pointerLeave(event) and returns an unlisten function
+ *   requestFrame(callback), cancelFrame(handle), now() - frame scheduler and clock
+ * 
+ * @returns {Object} the environment
+ */
+function createBrowserEnvironment() {
+    return {
+        getSize(canvas, sizeTo) {
+            const size = measureCanvasHost(canvas, sizeTo);
+            return { width: size.width, height: size.height, dpr: window.devicePixelRatio || 1 };
+        },
+        toCanvasPoint(canvas, event) {
+            const rect = canvas.getBoundingClientRect();
+            return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        },
+        listen(canvas, handlers, sizeTo) {
+            const onVisibilityChange = () => handlers.visibilityChange(document.hidden);
+            //layout changes (a sidebar collapsing, flex / grid reflows) resize elements without
+            //resizing the window. the window event still catches zoom, which changes the dpr
+            const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => handlers.resize()) : null;
+            if (observer) {
+                observer.observe(sizeTo === 'parent' && canvas.parentElement ? canvas.parentElement : canvas);
+            }
+            const intersection = typeof IntersectionObserver !== 'undefined' ?
+                new IntersectionObserver(entries => handlers.viewportChange(entries[entries.length - 1].isIntersecting)) :
+                null;
+            if (intersection) intersection.observe(canvas);
+            const motionQuery = typeof window.matchMedia === 'function' ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+            const onMotionChange = () => handlers.reducedMotionChange(motionQuery.matches);
+            if (motionQuery) {
+                motionQuery.addEventListener('change', onMotionChange);
+                onMotionChange();
+            }
+            const schemeQuery = typeof window.matchMedia === 'function' ? window.matchMedia(DARK_SCHEME_QUERY) : null;
+            const onSchemeChange = () => handlers.colorSchemeChange(schemeQuery.matches);
+            if (schemeQuery) {
+                schemeQuery.addEventListener('change', onSchemeChange);
+                onSchemeChange();
+            }
+            //dark mode switches usually toggle a class or attribute on <html> or <body>, which
+            //changes the CSS variables colors can refer to
+            const styleObserver = typeof MutationObserver !== 'undefined' ? new MutationObserver(() => handlers.styleChange()) : null;
+            if (styleObserver) {
+                for (const element of [document.documentElement, document.body]) {
+                    if (element) styleObserver.observe(element, { attributes: true });
+                }
+            }
+            const pointerHandlers = {
+                pointerdown: handlers.pointerDown,
+                pointermove: handlers.pointerMove,
+                pointerup: handlers.pointerUp,
+                pointercancel: handlers.pointerLeave,
+                pointerleave: handlers.pointerLeave
+            };
+
+            window.addEventListener('resize', handlers.resize);
+            document.addEventListener('visibilitychange', onVisibilityChange);
+            for (const [type, handler] of Object.entries(pointerHandlers)) {
+                canvas.addEventListener(type, handler);
+            }
+
+            return () => {
+                if (observer) observer.disconnect();
+                if (intersection) intersection.disconnect();
+                if (motionQuery) motionQuery.removeEventListener('change', onMotionChange);
+                if (schemeQuery) schemeQuery.removeEventListener('change', onSchemeChange);
+                if (styleObserver) styleObserver.disconnect();
+                window.removeEventListener('resize', handlers.resize);
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+                for (const [type, handler] of Object.entries(pointerHandlers)) {
+                    canvas.removeEventListener(type, handler);
+                }
+            };
+        },
+        requestFrame: scheduleFrame,
+        cancelFrame: cancelFrame,
+        now: () => performance.now()
+    };
+}
+
+/**
+ * CSS pixel size for a canvas, its own box or the content box of its parent. a parent
+ * has to get its size from the page layout, not from the canvas inside it
+ * 
+ * @param {HTMLCanvasElement} canvas - canvas in the page
+ * @param {string} sizeTo - 'canvas' or 'parent'
+ * @returns {Object} { width, height }
+ */
+function measureCanvasHost(canvas, sizeTo) {
+    const parent = sizeTo === 'parent' ? canvas.parentElement : null;
+    if (!parent) {
+        const rect = canvas.getBoundingClientRect();
+        return { width: rect.width, height: rect.height };
+    }
+    const style = getComputedStyle(parent);
+    return {
+        width: Math.max(0, parent.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight)),
+        height: Math.max(0, parent.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom))
+    };
+}
+
+/**
+ * environment adapter without a DOM (workers, Node, tests). The size is set by the host
+ * through setSize / ParticleSystem.setHostSize, pointer and visibility changes are pushed in by
+ * calling the system's handlers directly, frames fall back to timers
+ * 
+ * @param {Object} size - initial { width, height, dpr }
+ * @returns {Object} the environment
+ */
+function createHeadlessEnvironment(size = {}) {
+    return {
+        size: { width: size.width || 300, height: size.height || 150, dpr: size.dpr || 1 },
+        getSize() {
+            return this.size;
+        },
+        setSize(width, height, dpr = 1) {
+            this.size = { width, height, dpr };
+        },
+        toCanvasPoint(canvas, event) {
+            return { x: event.clientX, y: event.clientY };
+        },
+        listen() {
+            return () => {};
+        },
+        requestFrame: scheduleFrame,
+        cancelFrame: cancelFrame,
+        now: () => performance.now()
+    };
+}
+
+//#endregion
+
+//#region Worker mode
+
+//url of this script, a worker loads the same file. only known for classic <script> tags
+const WEBS_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ?
+    document.currentScript.src :
+    null;
+
+//pointer events forwarded from the page to the worker
+const WORKER_POINTER_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave'];
+
+/**
+ * checks whether a canvas can be handed to a worker
+ * 
+ * @param {HTMLCanvasElement} canvas - canvas that would be transferred
+ * @param {Object} options - options, `workerUrl` overrides the script url
+ * @returns {boolean} true if worker mode can be used
+ */
+function supportsWorkerMode(canvas, options) {
+    return typeof Worker !== 'undefined' &&
+        typeof canvas.transferControlToOffscreen === 'function' &&
+        Boolean(options.workerUrl || WEBS_SCRIPT_URL);
+}
+
+/**
+ * main thread side of worker mode. transfers the canvas to a worker running this script,
+ * forwards size, pointer and visibility changes to it, and proxies the API over postMessage.
+ * every proxied method returns a Promise of its result. particles come back as their index
+ * in the worker's store, which only points at the same particle until the next step: removals
+ * (removeParticle, lifetimes, absorb / open mode) move the last particle into the freed index
+ * 
+ * @param {HTMLCanvasElement} canvas - canvas to transfer
+ * @param {Object} options - Configuration options, must be structured-clone friendly (no functions)
+ * @returns {Object} API object mirroring initParticles, with Promise results
+ */
+function createWorkerParticles(canvas, options) {
+    const worker = new Worker(options.workerUrl || WEBS_SCRIPT_URL);
+    const pending = new Map();
+    let nextRequestId = 1;
+    let destroyed = false;
+
+    const { worker: ignoredWorker, workerUrl, ...workerOptions } = resolvePageColors(options, canvas);
+
+    worker.addEventListener('message', (event) => {
+        const message = event.data;
+        if (!message || !message.webs || !pending.has(message.id)) return;
+
+        const { resolve, reject } = pending.get(message.id);
+        pending.delete(message.id);
+        if (message.error) {
+            reject(new Error(message.error));
+        } else {
+            resolve(message.result);
+        }
+    });
+
+    //posts a message, rejecting instead of throwing when it can't be cloned (e.g. functions)
+    const call = (method, args = [], transfer = []) => new Promise((resolve, reject) => {
+        if (destroyed) {
+            reject(new Error('webs.js: the particle system was destroyed'));
+            return;
+        }
+        const id = nextRequestId++;
+        pending.set(id, { resolve, reject });
+        try {
+            worker.postMessage({ webs: true, id, method, args }, transfer);
+        } catch (error) {
+            pending.delete(id);
+            reject(error);
+        }
+    });
+
+    //size in CSS pixels, the transferred canvas still lays out like before
+    let sizeTo = workerOptions.sizeTo || 'canvas';
+    const measure = () => {
+        const size = measureCanvasHost(canvas, sizeTo);
+        canvas.style.width = size.width + 'px';
+        canvas.style.height = size.height + 'px';
+        if (sizeTo === 'parent') canvas.style.display = 'block';
+        return { width: size.width, height: size.height, dpr: window.devicePixelRatio || 1 };
+    };
+
+    const onResize = () => call('setHostSize', [measure()]);
+    const onVisibilityChange = () => call('setHidden', [document.hidden]);
+    const onMotionChange = () => call('setReducedMotion', [motionQuery.matches]);
+    const onSchemeChange = () => call('setColorScheme', [schemeQuery.matches]);
+    const onPointer = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        call('pointer', [{
+            type: event.type,
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            clientX: event.clientX - rect.left,
+            clientY: event.clientY - rect.top
+        }]);
+    };
+
+    const offscreen = canvas.transferControlToOffscreen();
+    const ready = call('init', [workerOptions, measure(), offscreen], [offscreen]);
+    ready.catch(error => console.error('webs.js: worker failed to start:', error));
+
+    //the worker owns the canvas now, touch-action still has to be set on the element
+    const originalTouchAction = canvas.style.touchAction;
+    const touchOptions = { enableMouseRepel: workerOptions.enableMouseRepel, enableDrag: workerOptions.enableDrag };
+    const updateTouchAction = (opts) => {
+        if (opts.enableMouseRepel !== undefined) touchOptions.enableMouseRepel = opts.enableMouseRepel;
+        if (opts.enableDrag !== undefined) touchOptions.enableDrag = opts.enableDrag;
+        canvas.style.touchAction = touchOptions.enableMouseRepel || touchOptions.enableDrag ? 'none' : originalTouchAction;
+    };
+    updateTouchAction(touchOptions);
+
+    //same as the browser environment, element resizes from the observer and dpr changes from the window
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(onResize) : null;
+    const observeHost = () => {
+        if (!observer) return;
+        observer.disconnect();
+        observer.observe(sizeTo === 'parent' && canvas.parentElement ? canvas.parentElement : canvas);
+    };
+    observeHost();
+
+    //scrolling out of view and reduced motion pause or slow the worker like the page's own systems
+    const intersection = typeof IntersectionObserver !== 'undefined' ?
+        new IntersectionObserver(entries => call('setInView', [entries[entries.length - 1].isIntersecting])) :
+        null;
+    if (intersection) intersection.observe(canvas);
+    const motionQuery = typeof window.matchMedia === 'function' ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+    if (motionQuery) {
+        motionQuery.addEventListener('change', onMotionChange);
+        onMotionChange();
+    }
+    const schemeQuery = typeof window.matchMedia === 'function' ? window.matchMedia(DARK_SCHEME_QUERY) : null;
+    if (schemeQuery) {
+        schemeQuery.addEventListener('change', onSchemeChange);
+        onSchemeChange();
+    }
+
+    window.addEventListener('resize', onResize);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    for (const type of WORKER_POINTER_EVENTS) {
+        canvas.addEventListener(type, onPointer);
+    }
+
+    //proxy every API method by name
+    const api = {};
+    for (const method of Object.keys(createParticlesApi(null))) {
+        api[method] = (...args) => call(method, args);
+    }
+
+    api.resize = onResize;
+    api.updateOptions = (opts) => {
+        updateTouchAction(opts);
+        const result = call('updateOptions', [resolvePageColors(opts, canvas)]);
+        if (opts.sizeTo !== undefined && opts.sizeTo !== sizeTo) {
+            sizeTo = opts.sizeTo;
+            observeHost();
+            onResize();
+        }
+        return result;
+    };
+    api.animateOptions = (opts, settings) => call('animateOptions', [resolvePageColors(opts, canvas), settings]);
+    api.destroy = () => {
+        if (observer) observer.disconnect();
+        if (intersection) intersection.disconnect();
+        if (motionQuery) motionQuery.removeEventListener('change', onMotionChange);
+        if (schemeQuery) schemeQuery.removeEventListener('change', onSchemeChange);
+        window.removeEventListener('resize', onResize);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        for (const type of WORKER_POINTER_EVENTS) {
+            canvas.removeEventListener(type, onPointer);
+        }
+        canvas.style.touchAction = originalTouchAction;
+
+        return call('destroy').finally(() => {
+            destroyed = true;
+            worker.terminate();
+            for (const { reject } of pending.values()) {
+                reject(new Error('webs.js: the particle system was destroyed'));
+            }
+            pending.clear();
+        });
+    };
+
+    return api;
+}
+
+/**
+ * the worker has no page styles to look var() and currentcolor up in, so color options are
+ * resolved against the canvas before they're sent
+ * @param {Object} options
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Object} options with those colors replaced by rgba() strings
+ */
+function resolvePageColors(options, canvas) {
+    const resolve = (color) => {
+        if (typeof color !== 'string' || !/var\(|currentcolor/i.test(color)) return color;
+        const parsed = parseCssColor(color, canvas);
+        return parsed ? parsed.css : color;
+    };
+    const resolved = { ...options };
+    for (const key of Object.keys(resolved)) {
+        const schema = OPTIONS_SCHEMA[key];
+        if (!schema) continue;
+        if (Array.isArray(resolved[key]) && schema.items === 'color') {
+            resolved[key] = resolved[key].map(resolve);
+        } else if ([].concat(schema.type).includes('color')) {
+            resolved[key] = resolve(resolved[key]);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * worker side of worker mode. waits for the init message with the OffscreenCanvas,
+ * then runs the system and answers API calls from the page
+ */
+function startWorkerHost() {
+    let system = null;
+    let api = null;
+
+    //particles can't cross threads, they are referred to by index instead. an index is only
+    //valid until the next step, see createWorkerParticles
+    const serialize = (result) => {
+        if (result instanceof ParticleHandle) {
+            return result.index;
+        }
+        //query results
+        if (Array.isArray(result) && result[0] instanceof ParticleHandle) {
+            return result.map(particle => particle.index);
+        }
+        return result;
+    };
+
+    const handlers = {
+        init(options, size, canvas) {
+            system = new ParticleSystem(canvas, options);
+            system.setHostSize(size.width, size.height, size.dpr);
+            system.setParticleCount(system.opts.particleDensity ?
+                system.getDensityParticleCount() :
+                options.particleCount || 2000);
+            api = createParticlesApi(system);
+        },
+        setHostSize(size) {
+            system.setHostSize(size.width, size.height, size.dpr);
+        },
+        setHidden(hidden) {
+            system.handleVisibilityChange(hidden);
+        },
+        setInView(inView) {
+            system.handleViewportChange(inView);
+        },
+        setReducedMotion(reduced) {
+            system.handleReducedMotionChange(reduced);
+        },
+        setColorScheme(dark) {
+            system.handleColorSchemeChange(dark);
+        },
+        pointer(event) {
+            if (event.type === 'pointerdown') system.handlePointerDown(event);
+            else if (event.type === 'pointermove') system.handlePointerMove(event);
+            else if (event.type === 'pointerup') system.handlePointerUp(event);
+            else system.handlePointerLeave(event);
+        }
     };
+
+    self.addEventListener('message', (event) => {
+        const message = event.data;
+        if (!message || !message.webs) return;
+
+        try {
+            let result;
+            if (handlers[message.method]) {
+                result = handlers[message.method](...message.args);
+            } else if (api && api[message.method]) {
+                result = api[message.method](...message.args);
+            } else {
+                throw new Error(`Unknown method: ${message.method}`);
+            }
+            //promises (animateOptions) answer once they settle
+            Promise.resolve(result).then(
+                value => self.postMessage({ webs: true, id: message.id, result: serialize(value) }),
+                error => self.postMessage({ webs: true, id: message.id, error: error.message })
+            );
+        } catch (error) {
+            self.postMessage({ webs: true, id: message.id, error: error.message });
+        }
+    });
 }
 
+//#endregion
+
+//#region UMD export
+
 /**
  * Universal module definition (UMD) pattern for exposing ParticleSystem and initParticles.
- * supports CommonJS (Node.js), AMD (RequireJS), and global browser environments.
+ * supports CommonJS (Node.js), AMD (RequireJS), global browser environments and web workers,
+ * where loading this script also makes it ready to host a system for worker mode. anywhere else
+ * (e.g. Node loading the file as an ES module) both end up on globalThis.
  */
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { initParticles, ParticleSystem };
 } else if (typeof define === 'function' && define.amd) {
     define([], function() { return { initParticles, ParticleSystem }; });
-} else {
+} else if (typeof window !== 'undefined') {
     window.initParticles = initParticles;
     window.ParticleSystem = ParticleSystem;
+} else if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.initParticles = initParticles;
+    self.ParticleSystem = ParticleSystem;
+    startWorkerHost();
+} else if (typeof globalThis !== 'undefined') {
+    //other hosts, e.g. Node importing the file as an ES module
+    globalThis.initParticles = initParticles;
+    globalThis.ParticleSystem = ParticleSystem;
 }
 //#endregion